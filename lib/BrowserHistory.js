@@ -0,0 +1,100 @@
+'use strict';
+
+/** A history backend using the HTML5 history API (`pushState` and the `popstate` event)
+ * @module stateful-controller-browser-router/lib/BrowserHistory
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+/**
+ * @constructor
+ * @alias module:stateful-controller-browser-router/lib/BrowserHistory
+ * @implements {HistoryBackend}
+ * @param {!Window} window
+ */
+function BrowserHistory(window)
+{
+        this.window = window;
+}
+
+module.exports = BrowserHistory;
+
+/**
+ * Test if the given window supports the history API
+ * @param {!Window} window
+ * @return {Boolean}
+ */
+BrowserHistory.isSupported = function(window)
+{
+        return !!(window.history &&
+                  typeof window.history.pushState === 'function' &&
+                  typeof window.history.replaceState === 'function');
+};
+
+/**
+ * @return {*} The state object of the current history entry
+ */
+BrowserHistory.prototype.getState = function()
+{
+        return this.window.history.state;
+};
+
+/**
+ * @return {!string} The path, query string and fragment of the current location
+ */
+BrowserHistory.prototype.getURL = function()
+{
+        var location = this.window.location;
+        return location.pathname + location.search + (location.hash || '');
+};
+
+/**
+ * Add a new history entry
+ * @param {*} state
+ * @param {string} title
+ * @param {!string} url
+ */
+BrowserHistory.prototype.pushState = function(state, title, url)
+{
+        this.window.history.pushState(state, title, url);
+};
+
+/**
+ * Modify the current history entry
+ * @param {*} state
+ * @param {string} title
+ * @param {!string} url
+ */
+BrowserHistory.prototype.replaceState = function(state, title, url)
+{
+        this.window.history.replaceState(state, title, url);
+};
+
+/**
+ * Move through the history entries, like `window.history.go()`
+ * @param {!number} delta
+ */
+BrowserHistory.prototype.go = function(delta)
+{
+        this.window.history.go(delta);
+};
+
+/**
+ * Call the given function whenever the user navigates to a different history entry.
+ * @param {!function(*)} callback Called with the state object of the new history entry
+ * @return {!function()} Stops listening
+ */
+BrowserHistory.prototype.listen = function(callback)
+{
+        var window = this.window;
+        var listener = function(e)
+        {
+                callback(e.state);
+        };
+
+        window.addEventListener('popstate', listener);
+
+        return function()
+        {
+                window.removeEventListener('popstate', listener);
+        };
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+/** The last state of the `errorStateList` option of the router is replaced by an ErrorState,
+ * so that the controller of that state receives the error that caused the transition to fail.
+ * @module stateful-controller-browser-router/lib/ErrorState
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+/**
+ * @example
+ * // errorStateList: ['error']
+ * frontController.enterError = function(state, upgrade)
+ * {
+ *         this.document.body.textContent = state.error.message;
+ * };
+ * @constructor
+ * @alias module:stateful-controller-browser-router/lib/ErrorState
+ * @param {!string} stateName
+ * @param {*} error
+ */
+function ErrorState(stateName, error)
+{
+        /** @member {!string} stateName
+         * @memberOf module:stateful-controller-browser-router/lib/ErrorState
+         * @instance
+         */
+        this.stateName = stateName;
+
+        /** The reason the transition failed
+         * @member {*} error
+         * @memberOf module:stateful-controller-browser-router/lib/ErrorState
+         * @instance
+         */
+        this.error = error;
+
+        Object.freeze(this);
+}
+
+module.exports = ErrorState;
+
+/**
+ * @param {ControllerState} other
+ * @return {boolean} `true` if `other` is an ErrorState with the same name and error
+ */
+ErrorState.prototype.isStateEqual = function(other)
+{
+        return other instanceof ErrorState &&
+               other.stateName === this.stateName &&
+               other.error === this.error;
+};
+
+/**
+ * @return {string} The name of the state
+ */
+ErrorState.prototype.toString = function()
+{
+        return this.stateName;
+};
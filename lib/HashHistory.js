@@ -0,0 +1,211 @@
+'use strict';
+
+/** A history backend that stores the URL in the fragment of the location (`#/path?query`).
+ * This backend is useful in environments that do not support (or block) the history API.
+ * @module stateful-controller-browser-router/lib/HashHistory
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+// The browser percent-encodes some characters of the fragment (e.g. spaces and non-ASCII characters), decode them
+// so that a URL can be compared with the one that ends up in `location.hash`
+function normalizeURL(url)
+{
+        try
+        {
+                return decodeURI(url);
+        }
+        catch (err)
+        {
+                return url;
+        }
+}
+
+// The URL stored in a fragment (with or without the leading "#")
+function hashURL(hash)
+{
+        hash = (hash || '').replace(/^#/, '');
+        return hash ? hash : '/';
+}
+
+/**
+ * The fragment can not hold a state object, so the state objects are kept in memory, in a list of the history entries
+ * that mirrors the one of the browser. If the user navigates (e.g. using the back button), the new entry is looked up
+ * by its URL: the nearest entry with that URL is used, an earlier entry is preferred over a later one at the same
+ * distance (unless `go()` was used). If there is no such entry, a new one is added (e.g. a link to `#/foo`).
+ * After a reload, `getState()` returns `null` until a new state is pushed.
+ *
+ * @constructor
+ * @alias module:stateful-controller-browser-router/lib/HashHistory
+ * @implements {HistoryBackend}
+ * @param {!Window} window
+ */
+function HashHistory(window)
+{
+        this.window = window;
+        // (the URLs of the entries and the expected hashes are stored as normalised by normalizeURL)
+        this._entries = [{url: normalizeURL(this.getURL()), state: null}];
+        this._index = 0;
+        this._goDelta = 0;
+        // (the fragments we have set ourselves, that did not fire "hashchange" yet)
+        this._expectedHashes = [];
+}
+
+module.exports = HashHistory;
+
+/**
+ * Test if the given window supports hash based history
+ * @param {!Window} window
+ * @return {Boolean}
+ */
+HashHistory.isSupported = function(window)
+{
+        return !!(window.location &&
+                  typeof window.location.replace === 'function' &&
+                  typeof window.addEventListener === 'function');
+};
+
+/**
+ * @return {*} The state object of the current history entry
+ */
+HashHistory.prototype.getState = function()
+{
+        var entry = this._entries[this._index];
+        return entry.url === normalizeURL(this.getURL()) ? entry.state : null;
+};
+
+/**
+ * @return {!string} The path and query string stored in the fragment of the current location
+ */
+HashHistory.prototype.getURL = function()
+{
+        return hashURL(this.window.location.hash);
+};
+
+/**
+ * Add a new history entry
+ * @param {*} state
+ * @param {string} title
+ * @param {!string} url
+ */
+HashHistory.prototype.pushState = function(state, title, url)
+{
+        var normalizedURL = normalizeURL(url);
+
+        if (normalizedURL === normalizeURL(this.getURL()))
+        {
+                // Setting the same fragment does not add a new entry, nor does it fire "hashchange"
+                this._entries[this._index] = {url: normalizedURL, state: state};
+                return;
+        }
+
+        this._pushEntry(normalizedURL, state);
+        this._expectedHashes.push(normalizedURL);
+        this.window.location.hash = url;
+};
+
+/**
+ * Modify the current history entry
+ * @param {*} state
+ * @param {string} title
+ * @param {!string} url
+ */
+HashHistory.prototype.replaceState = function(state, title, url)
+{
+        var normalizedURL = normalizeURL(url);
+        this._entries[this._index] = {url: normalizedURL, state: state};
+
+        if (normalizedURL === normalizeURL(this.getURL()))
+        {
+                return;
+        }
+
+        var location = this.window.location;
+        this._expectedHashes.push(normalizedURL);
+        location.replace(location.href.replace(/#.*$/, '') + '#' + url);
+};
+
+/**
+ * Move through the history entries, like `window.history.go()`
+ * @param {!number} delta
+ */
+HashHistory.prototype.go = function(delta)
+{
+        this._goDelta = delta;
+        this.window.history.go(delta);
+};
+
+/**
+ * Call the given function whenever the user navigates to a different history entry.
+ * Changes made by `pushState()` and `replaceState()` are ignored.
+ * @param {!function(*)} callback Called with the state object of the new history entry
+ * @return {!function()} Stops listening
+ */
+HashHistory.prototype.listen = function(callback)
+{
+        var window = this.window;
+        var listener = function(event)
+        {
+                // (the location might have changed again since this event was queued)
+                var hash = event && event.newURL ? event.newURL.replace(/^[^#]*/, '') : this.window.location.hash;
+                var index = this._expectedHashes.indexOf(normalizeURL(hashURL(hash)));
+
+                if (index >= 0)
+                {
+                        // (the events arrive in order, earlier changes will not fire anymore)
+                        this._expectedHashes.splice(0, index + 1);
+                        return;
+                }
+
+                this._moveToEntry(normalizeURL(this.getURL()));
+                callback(this.getState());
+        }.bind(this);
+
+        window.addEventListener('hashchange', listener);
+
+        return function()
+        {
+                window.removeEventListener('hashchange', listener);
+        };
+};
+
+HashHistory.prototype._pushEntry = function(url, state)
+{
+        this._entries.splice(this._index + 1);
+        this._entries.push({url: url, state: state});
+        ++this._index;
+};
+
+// The user has navigated to the given URL, find out which of our entries it is
+HashHistory.prototype._moveToEntry = function(url)
+{
+        var entries = this._entries;
+        var index = this._index + this._goDelta;
+        this._goDelta = 0;
+
+        if (index !== this._index && entries[index] && entries[index].url === url)
+        {
+                this._index = index;
+                return;
+        }
+
+        for (var distance = 1; distance < entries.length; ++distance)
+        {
+                index = this._index - distance;
+
+                if (entries[index] && entries[index].url === url)
+                {
+                        this._index = index;
+                        return;
+                }
+
+                index = this._index + distance;
+
+                if (entries[index] && entries[index].url === url)
+                {
+                        this._index = index;
+                        return;
+                }
+        }
+
+        this._pushEntry(url, null);
+};
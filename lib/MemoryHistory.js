@@ -0,0 +1,310 @@
+'use strict';
+
+/** An in-memory implementation of the parts of `Window` that are used by the router
+ * (`history`, `location` and events). This lets you run the router outside of a browser,
+ * e.g. in node.js for server side rendering or tests.
+ * @module stateful-controller-browser-router/lib/MemoryHistory
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+function parseURL(url)
+{
+        var match = /^([^?#]*)(\?[^#]*)?(#.*)?$/.exec(url);
+
+        return {
+                pathname: match[1] || '/',
+                search: match[2] || '',
+                hash: match[3] || ''
+        };
+}
+
+function resolveURL(base, url)
+{
+        if (url === void 123 || url === null)
+        {
+                return base;
+        }
+
+        url = String(url);
+
+        if (url[0] === '#')
+        {
+                return base.replace(/#.*$/, '') + url;
+        }
+
+        if (url[0] === '?')
+        {
+                return base.replace(/[?#].*$/, '') + url;
+        }
+
+        if (url[0] !== '/')
+        {
+                // relative path
+                return base.replace(/[^\/?#]*([?#].*)?$/, '') + url;
+        }
+
+        return url;
+}
+
+/**
+ * Construct a new in-memory window. The result can be passed to the Router constructor where `window` is expected.
+ * Just like in a browser, `history.back()`, `history.forward()` and `history.go()` are asynchronous: the "popstate"
+ * event is dispatched after the current call stack has completed.
+ *
+ * @example
+ * var memoryWindow = new MemoryHistory('/foo');
+ * var router = new Router(memoryWindow, urlStateMap, frontController);
+ * router.attachPopStateListener();
+ * router.upgradeInitialState();
+ * // ...
+ * memoryWindow.history.back();
+ *
+ * @constructor
+ * @alias module:stateful-controller-browser-router/lib/MemoryHistory
+ * @param {string} [url='/'] The URL of the initial history entry (path, query string and fragment)
+ */
+function MemoryHistory(url)
+{
+        var self = this;
+
+        /** All the history entries, the oldest entry is at index 0.
+         * @member {Array.<{state: *, title: string, url: string}>} entries
+         * @memberOf module:stateful-controller-browser-router/lib/MemoryHistory
+         * @instance
+         */
+        this.entries = [{state: null, title: '', url: resolveURL('/', url || '/')}];
+
+        /** The index of the current entry in `entries`
+         * @member {number} index
+         * @memberOf module:stateful-controller-browser-router/lib/MemoryHistory
+         * @instance
+         */
+        this.index = 0;
+
+        this._listeners = Object.create(null);
+
+        /** An implementation of `window.history`
+         * @member {!History} history
+         * @memberOf module:stateful-controller-browser-router/lib/MemoryHistory
+         * @instance
+         */
+        this.history = {
+                pushState: function(state, title, url)
+                {
+                        self._pushEntry(state, title, url);
+                },
+                replaceState: function(state, title, url)
+                {
+                        self._replaceEntry(state, title, url);
+                },
+                back: function()
+                {
+                        self.go(-1);
+                },
+                forward: function()
+                {
+                        self.go(1);
+                },
+                go: function(delta)
+                {
+                        self.go(delta);
+                }
+        };
+
+        Object.defineProperty(this.history, 'state', {
+                get: function()
+                {
+                        return self.entries[self.index].state;
+                }
+        });
+
+        Object.defineProperty(this.history, 'length', {
+                get: function()
+                {
+                        return self.entries.length;
+                }
+        });
+
+        /** A minimal implementation of `window.document`, only `title` is available
+         * @member {!{title: string}} document
+         * @memberOf module:stateful-controller-browser-router/lib/MemoryHistory
+         * @instance
+         */
+        this.document = {title: ''};
+
+        /** An implementation of `window.location`.
+         * Setting `location.hash` adds a new history entry and dispatches "popstate" and "hashchange".
+         * @member {!Location} location
+         * @memberOf module:stateful-controller-browser-router/lib/MemoryHistory
+         * @instance
+         */
+        this.location = {
+                protocol: 'http:',
+                host: 'localhost',
+                replace: function(url)
+                {
+                        self._navigate(url, true);
+                }
+        };
+
+        ['pathname', 'search'].forEach(function(name)
+        {
+                Object.defineProperty(self.location, name, {
+                        enumerable: true,
+                        get: function()
+                        {
+                                return parseURL(self.url)[name];
+                        }
+                });
+        });
+
+        Object.defineProperty(this.location, 'hash', {
+                enumerable: true,
+                get: function()
+                {
+                        var hash = parseURL(self.url).hash;
+                        return hash === '#' ? '' : hash;
+                },
+                set: function(value)
+                {
+                        value = String(value);
+                        self._navigate(value[0] === '#' ? value : '#' + value, false);
+                }
+        });
+
+        Object.defineProperty(this.location, 'href', {
+                enumerable: true,
+                get: function()
+                {
+                        return this.protocol + '//' + this.host + self.url;
+                }
+        });
+}
+
+module.exports = MemoryHistory;
+
+/** The URL of the current entry (path, query string and fragment)
+ * @member {!string} url
+ * @memberOf module:stateful-controller-browser-router/lib/MemoryHistory
+ * @instance
+ */
+Object.defineProperty(MemoryHistory.prototype, 'url', {
+        get: function()
+        {
+                return this.entries[this.index].url;
+        }
+});
+
+/**
+ * @param {!string} name
+ * @param {!function(Object)} listener
+ */
+MemoryHistory.prototype.addEventListener = function(name, listener)
+{
+        var listeners = this._listeners[name] || (this._listeners[name] = []);
+
+        if (listeners.indexOf(listener) < 0)
+        {
+                listeners.push(listener);
+        }
+};
+
+/**
+ * @param {!string} name
+ * @param {!function(Object)} listener
+ */
+MemoryHistory.prototype.removeEventListener = function(name, listener)
+{
+        var listeners = this._listeners[name] || [];
+        var index = listeners.indexOf(listener);
+
+        if (index >= 0)
+        {
+                listeners.splice(index, 1);
+        }
+};
+
+/**
+ * Synchronously call all the listeners of the given event
+ * @param {!Object} event An object with at least a `type` property
+ */
+MemoryHistory.prototype.dispatchEvent = function(event)
+{
+        (this._listeners[event.type] || []).slice().forEach(function(listener)
+        {
+                listener.call(this, event);
+        }, this);
+};
+
+/**
+ * Move through the history entries, like `window.history.go()`. Moving outside of the
+ * available entries is ignored. The "popstate" event is dispatched asynchronously.
+ * @param {number} [delta=0] `0` does nothing (a browser would reload the page)
+ */
+MemoryHistory.prototype.go = function(delta)
+{
+        var index = this.index + (delta || 0);
+
+        if (!delta || index < 0 || index >= this.entries.length)
+        {
+                return;
+        }
+
+        var previousURL = this.url;
+        this.index = index;
+        this._dispatchNavigationEvents(previousURL);
+};
+
+MemoryHistory.prototype._pushEntry = function(state, title, url)
+{
+        this.entries.splice(this.index + 1);
+        this.entries.push({state: state, title: title || '', url: resolveURL(this.url, url)});
+        ++this.index;
+};
+
+MemoryHistory.prototype._replaceEntry = function(state, title, url)
+{
+        this.entries[this.index] = {state: state, title: title || '', url: resolveURL(this.url, url)};
+};
+
+MemoryHistory.prototype._navigate = function(url, replace)
+{
+        var previousURL = this.url;
+        url = resolveURL(previousURL, url.replace(/^\w+:\/\/[^\/]*/, ''));
+
+        if (url === previousURL)
+        {
+                return;
+        }
+
+        if (replace)
+        {
+                this._replaceEntry(null, '', url);
+        }
+        else
+        {
+                this._pushEntry(null, '', url);
+        }
+
+        if (previousURL.replace(/#.*$/, '') === url.replace(/#.*$/, ''))
+        {
+                this._dispatchNavigationEvents(previousURL);
+        }
+        // else: a browser would load a new page
+};
+
+MemoryHistory.prototype._dispatchNavigationEvents = function(previousURL)
+{
+        var state = this.history.state;
+        var url = this.url;
+
+        setTimeout(function()
+        {
+                this.dispatchEvent({type: 'popstate', state: state});
+
+                if (previousURL.replace(/^[^#]*/, '') !== url.replace(/^[^#]*/, ''))
+                {
+                        this.dispatchEvent({type: 'hashchange', oldURL: previousURL, newURL: url});
+                }
+        }.bind(this), 0);
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+/** Parses and serialises query strings using typed parameters
+ * @module stateful-controller-browser-router/lib/QuerySchema
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+var TYPES = {
+        string: function(value)
+        {
+                return value;
+        },
+        number: function(value)
+        {
+                var number = Number(value);
+                return value.trim() !== '' && isFinite(number) ? number : void 123;
+        },
+        boolean: function(value)
+        {
+                if (value === '' || value === 'true' || value === '1')
+                {
+                        return true;
+                }
+
+                if (value === 'false' || value === '0')
+                {
+                        return false;
+                }
+
+                return void 123;
+        }
+};
+
+/**
+ * The definition of a single query parameter. The type may also be given as a string (e.g. `'number'`).
+ * @typedef {Object} QueryParameterDefinition
+ * @property {string} [type='string'] "string", "number" or "boolean". A boolean parameter without a value
+ *           (`?open`) is `true`.
+ * @property {boolean} [array=false] The parameter may occur multiple times (`?tag=a&tag=b`), its value is an array.
+ * @property {*} [default] The value if the parameter is missing or invalid. This value is omitted by `stringify()`.
+ *           Arrays default to `[]`.
+ */
+
+function decode(value)
+{
+        value = value.replace(/\+/g, ' ');
+
+        try
+        {
+                return decodeURIComponent(value);
+        }
+        catch (err)
+        {
+                // (malformed escape sequence)
+                return value;
+        }
+}
+
+function sameValue(a, b)
+{
+        return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function compileParameter(definition, name)
+{
+        if (typeof definition === 'string')
+        {
+                definition = {type: definition};
+        }
+
+        definition = definition || {};
+        var type = definition.type || 'string';
+
+        if (!TYPES.hasOwnProperty(type))
+        {
+                throw Error('Query parameter "' + name + '" has an unknown type "' + type + '"');
+        }
+
+        var array = !!definition.array;
+
+        return {
+                convert: TYPES[type],
+                array: array,
+                hasDefault: definition.default !== void 123 || array,
+                default: definition.default === void 123 && array ? [] : definition.default
+        };
+}
+
+// Split a query string into a map of raw (decoded) values
+function parseRaw(search)
+{
+        var raw = Object.create(null);
+        var query = String(search || '').replace(/#.*$/, '');
+
+        // (a complete URL without a query string has no parameters)
+        query = query.indexOf('?') < 0 && /^(\/|\w+:\/\/)/.test(query) ? '' : query.replace(/^[^?]*\?/, '');
+
+        query.split('&').forEach(function(pair)
+        {
+                if (!pair)
+                {
+                        return;
+                }
+
+                var index = pair.indexOf('=');
+                var key = decode(index < 0 ? pair : pair.slice(0, index));
+                var value = index < 0 ? '' : decode(pair.slice(index + 1));
+
+                (raw[key] || (raw[key] = [])).push(value);
+        });
+
+        return raw;
+}
+
+/**
+ * @example
+ * var schema = new QuerySchema({
+ *         page: {type: 'number', default: 1},
+ *         tag: {type: 'string', array: true},
+ *         open: 'boolean'
+ * });
+ * schema.parse('?tag=b&tag=a&page=2'); // {page: 2, tag: ['b', 'a']}
+ * schema.stringify({page: 1, tag: ['b', 'a'], open: true}); // '?open=true&tag=b&tag=a'
+ * @constructor
+ * @alias module:stateful-controller-browser-router/lib/QuerySchema
+ * @param {Object.<string, (QueryParameterDefinition|string)>} [definition] Parameters that are not defined are
+ *        parsed as strings (or arrays of strings if they occur multiple times).
+ */
+function QuerySchema(definition)
+{
+        if (definition instanceof QuerySchema)
+        {
+                return definition;
+        }
+
+        definition = definition || {};
+        this._parameters = Object.create(null);
+
+        Object.keys(definition).forEach(function(name)
+        {
+                this._parameters[name] = compileParameter(definition[name], name);
+        }, this);
+}
+
+module.exports = QuerySchema;
+
+/**
+ * Parse a query string. Missing and invalid parameters are set to their default, or omitted if there is none.
+ * @param {?string} search The query string, with or without the leading "?" (a complete URL is also accepted)
+ * @return {!Object}
+ */
+QuerySchema.prototype.parse = function(search)
+{
+        var raw = parseRaw(search);
+        var params = {};
+        var parameters = this._parameters;
+
+        Object.keys(raw).forEach(function(key)
+        {
+                if (!parameters[key])
+                {
+                        params[key] = raw[key].length > 1 ? raw[key] : raw[key][0];
+                }
+        });
+
+        Object.keys(parameters).forEach(function(key)
+        {
+                var parameter = parameters[key];
+                var values = (raw[key] || []).map(parameter.convert).filter(function(value)
+                {
+                        return value !== void 123;
+                });
+
+                if (parameter.array && values.length)
+                {
+                        params[key] = values;
+                }
+                else if (!parameter.array && values.length)
+                {
+                        params[key] = values[values.length - 1];
+                }
+                else if (parameter.hasDefault)
+                {
+                        params[key] = Array.isArray(parameter.default) ? parameter.default.slice() : parameter.default;
+                }
+        });
+
+        return params;
+};
+
+/**
+ * Serialise parameters to a query string. The keys are sorted and values that are equal to their default,
+ * `null` or `undefined` are omitted, so that the same parameters always produce the same query string.
+ * @param {Object} [params]
+ * @return {!string} The query string, including the leading "?", or an empty string if there are no parameters
+ */
+QuerySchema.prototype.stringify = function(params)
+{
+        var pairs = [];
+        params = params || {};
+
+        Object.keys(params).sort().forEach(function(key)
+        {
+                var parameter = this._parameters[key];
+                var value = params[key];
+
+                if (value === void 123 ||
+                    value === null ||
+                    (parameter && parameter.hasDefault && sameValue(value, parameter.default)))
+                {
+                        return;
+                }
+
+                (Array.isArray(value) ? value : [value]).forEach(function(item)
+                {
+                        pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(String(item)));
+                });
+        }, this);
+
+        return pairs.length ? '?' + pairs.join('&') : '';
+};
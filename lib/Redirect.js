@@ -0,0 +1,45 @@
+'use strict';
+
+/** A redirect to a different state list. It may be returned by `urlStateMap.fromURL()` or by a guard,
+ * and thrown (or rejected with) by the enter method of a controller.
+ * @module stateful-controller-browser-router/lib/Redirect
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+/**
+ * @example
+ * frontController.enterAccount = function(state, upgrade)
+ * {
+ *         if (!session.loggedIn)
+ *         {
+ *                 throw new Router.Redirect(['login']);
+ *         }
+ * };
+ * @constructor
+ * @alias module:stateful-controller-browser-router/lib/Redirect
+ * @param {!ControllerStateList} stateList The state list to transition to instead
+ */
+function Redirect(stateList)
+{
+        if (!Array.isArray(stateList))
+        {
+                throw Error('Argument `stateList` must be an array');
+        }
+
+        /** The state list to transition to instead
+         * @member {!ControllerStateList} stateList
+         * @memberOf module:stateful-controller-browser-router/lib/Redirect
+         * @instance
+         */
+        this.stateList = stateList;
+}
+
+module.exports = Redirect;
+
+/**
+ * @return {string}
+ */
+Redirect.prototype.toString = function()
+{
+        return 'Redirect to "' + this.stateList.join(', ') + '"';
+};
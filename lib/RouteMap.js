@@ -0,0 +1,496 @@
+'use strict';
+
+/** A declarative URLStateMap built from a table of route patterns
+ * @module stateful-controller-browser-router/lib/RouteMap
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+var QuerySchema = require('./QuerySchema');
+
+var SEGMENT_STATIC = 3;
+var SEGMENT_PARAM = 2;
+var SEGMENT_SPLAT = 1;
+
+/**
+ * A single route in the table given to RouteMap
+ * @typedef {Object} RouteDefinition
+ * @property {!string} path The URL pattern of this route. A segment that starts with ":" (e.g. `/users/:id`) matches
+ *           any single segment, a segment that starts with "*" (e.g. `/files/*path`) matches the rest of the URL.
+ * @property {!Array.<(string|{name: string, params: string[]})>} states The state list of this route.
+ *           A state that has parameters is given as an object, the names in `params` must be present in `path`.
+ * @property {(string|function(Object.<string, string>, ControllerStateList):string)} [title] The document title of
+ *           this route, or a function that is called with the parameters and the state list to compute it.
+ * @property {(Object|QuerySchema)} [query] The query parameters of this route (see `QuerySchema`). If set, the last
+ *           state of the route carries the parsed parameters as `state.query`, and `toURL()` serialises them.
+ */
+
+// (the keys of query parameters are sorted, so that the order in which they were set does not matter)
+function canonicalQuery(query)
+{
+        return query ? JSON.stringify(query, Object.keys(query).sort()) : 'null';
+}
+
+/**
+ * A state that carries parameters, as produced by RouteMap.fromURL()
+ * @constructor
+ * @param {!string} stateName
+ * @param {!Object.<string, string>} params
+ * @param {Object} [query] The parsed query parameters, only set for the last state of a route that has a `query`
+ */
+function RouteState(stateName, params, query)
+{
+        this.stateName = stateName;
+        this.params = params;
+        this.query = query || null;
+        Object.freeze(this.params);
+
+        if (this.query)
+        {
+                Object.freeze(this.query);
+        }
+
+        Object.freeze(this);
+}
+
+/**
+ * @param {ControllerState} other
+ * @return {boolean}
+ */
+RouteState.prototype.isStateEqual = function(other)
+{
+        if (!other ||
+            typeof other !== 'object' ||
+            other.stateName !== this.stateName)
+        {
+                return false;
+        }
+
+        var keys = Object.keys(this.params);
+        var otherParams = other.params || {};
+
+        if (keys.length !== Object.keys(otherParams).length ||
+            canonicalQuery(this.query) !== canonicalQuery(other.query || null))
+        {
+                return false;
+        }
+
+        return keys.every(function(key)
+        {
+                return key in otherParams &&
+                       String(otherParams[key]) === String(this.params[key]);
+        }, this);
+};
+
+RouteState.prototype.toString = function()
+{
+        return this.stateName;
+};
+
+function splitPath(path)
+{
+        return path.split('/').filter(function(segment)
+        {
+                return segment !== '';
+        });
+}
+
+function stripQueryAndFragment(url)
+{
+        return url.replace(/[?#].*$/, '');
+}
+
+function queryString(url)
+{
+        var match = /\?[^#]*/.exec(url);
+        return match ? match[0] : '';
+}
+
+function parsePattern(path)
+{
+        return splitPath(path).map(function(segment)
+        {
+                if (segment[0] === ':')
+                {
+                        return {type: SEGMENT_PARAM, name: segment.slice(1)};
+                }
+
+                if (segment[0] === '*')
+                {
+                        return {type: SEGMENT_SPLAT, name: segment.slice(1) || '*'};
+                }
+
+                return {type: SEGMENT_STATIC, value: segment};
+        });
+}
+
+function compileRoute(definition, index)
+{
+        if (!definition ||
+            typeof definition.path !== 'string' ||
+            !Array.isArray(definition.states))
+        {
+                throw Error('Route #' + index + ' must have a `path` string and a `states` array');
+        }
+
+        var segments = parsePattern(definition.path);
+        var paramNames = {};
+
+        segments.forEach(function(segment, i)
+        {
+                if (segment.type === SEGMENT_SPLAT && i !== segments.length - 1)
+                {
+                        throw Error('Route "' + definition.path + '": a "*" segment must be the last segment');
+                }
+
+                if (segment.type !== SEGMENT_STATIC)
+                {
+                        paramNames[segment.name] = true;
+                }
+        });
+
+        var states = definition.states.map(function(state)
+        {
+                if (typeof state === 'string')
+                {
+                        return {name: state, params: []};
+                }
+
+                var params = state.params || [];
+                params.forEach(function(param)
+                {
+                        if (!paramNames[param])
+                        {
+                                throw Error('Route "' + definition.path + '": parameter "' + param +
+                                            '" of state "' + state.name + '" does not occur in the path');
+                        }
+                });
+
+                return {name: state.name, params: params};
+        });
+
+        return {
+                path: definition.path,
+                title: definition.title === void 123 ? null : definition.title,
+                query: definition.query ? new QuerySchema(definition.query) : null,
+                index: index,
+                segments: segments,
+                states: states
+        };
+}
+
+// Returns a negative number if routeA is more specific than routeB
+function compareSpecificity(routeA, routeB)
+{
+        var a = routeA.segments;
+        var b = routeB.segments;
+        var length = Math.min(a.length, b.length);
+
+        for (var i = 0; i < length; ++i)
+        {
+                if (a[i].type !== b[i].type)
+                {
+                        return b[i].type - a[i].type;
+                }
+        }
+
+        if (a.length !== b.length)
+        {
+                // "/users/:id/edit" is more specific than "/users/:id",
+                // but "/users" is more specific than "/users/*rest"
+                var longer = a.length > b.length ? a : b;
+                var sign = longer[length].type === SEGMENT_SPLAT ? 1 : -1;
+                return a.length > b.length ? sign : -sign;
+        }
+
+        return routeA.index - routeB.index;
+}
+
+function matchRoute(route, pathSegments)
+{
+        var params = {};
+        var segments = route.segments;
+
+        for (var i = 0; i < segments.length; ++i)
+        {
+                var segment = segments[i];
+
+                if (segment.type === SEGMENT_SPLAT)
+                {
+                        params[segment.name] = pathSegments.slice(i).map(decodeURIComponent).join('/');
+                        return params;
+                }
+
+                if (i >= pathSegments.length)
+                {
+                        return null;
+                }
+
+                if (segment.type === SEGMENT_STATIC)
+                {
+                        if (segment.value !== pathSegments[i])
+                        {
+                                return null;
+                        }
+                }
+                else
+                {
+                        params[segment.name] = decodeURIComponent(pathSegments[i]);
+                }
+        }
+
+        return i === pathSegments.length ? params : null;
+}
+
+function stateName(state)
+{
+        if (state && typeof state === 'object')
+        {
+                return state.stateName;
+        }
+
+        return state;
+}
+
+// Collect the parameters of the given state list if it fits the route, or return null
+function paramsFromStateList(route, stateList)
+{
+        if (stateList.length !== route.states.length)
+        {
+                return null;
+        }
+
+        var params = {};
+
+        for (var i = 0; i < stateList.length; ++i)
+        {
+                var state = stateList[i];
+                var routeState = route.states[i];
+
+                if (stateName(state) !== routeState.name)
+                {
+                        return null;
+                }
+
+                for (var p = 0; p < routeState.params.length; ++p)
+                {
+                        var param = routeState.params[p];
+                        var stateParams = (state && state.params) || {};
+
+                        if (stateParams[param] === void 123 || stateParams[param] === null)
+                        {
+                                return null;
+                        }
+
+                        params[param] = String(stateParams[param]);
+                }
+        }
+
+        return params;
+}
+
+function stateListFromParams(route, params, query)
+{
+        var last = route.states.length - 1;
+
+        return route.states.map(function(routeState, index)
+        {
+                var stateQuery = index === last ? query : null;
+
+                if (!routeState.params.length && !stateQuery)
+                {
+                        return routeState.name;
+                }
+
+                var stateParams = {};
+                routeState.params.forEach(function(param)
+                {
+                        stateParams[param] = params[param];
+                });
+
+                return new RouteState(routeState.name, stateParams, stateQuery);
+        });
+}
+
+function urlFromParams(route, params)
+{
+        return '/' + route.segments.map(function(segment)
+        {
+                if (segment.type === SEGMENT_STATIC)
+                {
+                        return segment.value;
+                }
+
+                if (segment.type === SEGMENT_SPLAT)
+                {
+                        return (params[segment.name] || '').split('/').map(encodeURIComponent).join('/');
+                }
+
+                return encodeURIComponent(params[segment.name]);
+        }).filter(function(segment)
+        {
+                return segment !== '';
+        }).join('/');
+}
+
+/**
+ * Construct a URLStateMap from a route table. The result can be passed to the `Router` constructor.
+ * Conflicting patterns are ranked by specificity: static segments beat parameters, which beat "*" segments.
+ * If two patterns are equally specific, the one defined first wins.
+ *
+ * @example
+ * var map = new RouteMap([
+ *         {path: '/', states: ['home']},
+ *         {path: '/users/new', states: ['users', 'newUser']},
+ *         {path: '/users/:id', states: ['users', {name: 'user', params: ['id']}]},
+ *         {path: '/users/:id/posts/:postId', states: ['users', {name: 'user', params: ['id']}, {name: 'post', params: ['postId']}]}
+ * ]);
+ * map.fromURL('/users/5/posts/12'); // ['users', RouteState{stateName: 'user', params: {id: '5'}}, RouteState{...}]
+ * map.toURL(['users', RouteMap.state('user', {id: 5})]); // '/users/5'
+ *
+ * @constructor
+ * @alias module:stateful-controller-browser-router/lib/RouteMap
+ * @param {!RouteDefinition[]} routes
+ * @param {Object} [options]
+ * @param {ControllerStateList} [options.notFound] The state list returned by fromURL() if no route matches.
+ *        If not set, fromURL() returns `null` for unknown URLs, so that the `notFoundStateList` of the Router applies.
+ */
+function RouteMap(routes, options)
+{
+        if (!Array.isArray(routes))
+        {
+                throw Error('Argument `routes` must be an array');
+        }
+
+        options = options || {};
+
+        this.notFound = options.notFound || null;
+        this._routes = routes.map(compileRoute).sort(compareSpecificity);
+
+        this.fromURL = this.fromURL.bind(this);
+        this.toURL = this.toURL.bind(this);
+        this.toTitle = this.toTitle.bind(this);
+        this.toQuerySchema = this.toQuerySchema.bind(this);
+}
+
+module.exports = RouteMap;
+RouteMap.RouteState = RouteState;
+
+/**
+ * Create a state with parameters, for use in a state list passed to `toURL()` or `Router#enterStates()`
+ * @example
+ * RouteMap.state('search', {}, {page: 2, tag: ['a', 'b']})
+ * @param {!string} name
+ * @param {Object} [params]
+ * @param {Object} [query] Query parameters, only used for the last state of a route that has a `query`
+ * @return {!RouteState}
+ */
+RouteMap.state = function(name, params, query)
+{
+        var copy = {};
+
+        Object.keys(params || {}).forEach(function(key)
+        {
+                copy[key] = String(params[key]);
+        });
+
+        return new RouteState(name, copy, query);
+};
+
+/**
+ * Find the most specific route matching the given URL and return its state list.
+ * @param {!string} url The path of the URL. The query string is parsed if the route has a `query`,
+ *        otherwise it is ignored (as is the fragment).
+ * @return {?ControllerStateList} `null` if no route matches (see the `notFoundStateList` option of the Router)
+ */
+RouteMap.prototype.fromURL = function(url)
+{
+        var pathSegments = splitPath(stripQueryAndFragment(url));
+
+        for (var i = 0; i < this._routes.length; ++i)
+        {
+                var route = this._routes[i];
+                var params = matchRoute(route, pathSegments);
+
+                if (params)
+                {
+                        return stateListFromParams(route, params, route.query && route.query.parse(queryString(url)));
+                }
+        }
+
+        return this.notFound ? this.notFound.slice() : null;
+};
+
+/**
+ * Find the most specific route for the given state list and build its URL.
+ * @param {!ControllerStateList} stateList
+ * @return {!string}
+ */
+RouteMap.prototype.toURL = function(stateList)
+{
+        var match = this._matchStateList(stateList);
+
+        if (match)
+        {
+                var url = urlFromParams(match.route, match.params);
+
+                if (match.route.query)
+                {
+                        var lastState = stateList[stateList.length - 1];
+                        url += match.route.query.stringify(lastState && lastState.query);
+                }
+
+                return url;
+        }
+
+        throw Error('No route matches the state list "' + stateList.map(stateName).join(', ') + '"');
+};
+
+/**
+ * Return the title of the route for the given state list. The Router uses this method to set the document title.
+ * @param {!ControllerStateList} stateList
+ * @return {?string} `null` if there is no matching route, or if it does not have a title
+ */
+RouteMap.prototype.toTitle = function(stateList)
+{
+        var match = this._matchStateList(stateList);
+
+        if (!match || match.route.title === null)
+        {
+                return null;
+        }
+
+        if (typeof match.route.title === 'function')
+        {
+                return match.route.title(match.params, stateList);
+        }
+
+        return match.route.title;
+};
+
+/**
+ * Return the query parameters of the route for the given state list. The Router uses this method for
+ * `updateQuery()` and its `query` property.
+ * @param {!ControllerStateList} stateList
+ * @return {?QuerySchema} `null` if there is no matching route, or if it does not have a `query`
+ */
+RouteMap.prototype.toQuerySchema = function(stateList)
+{
+        var match = this._matchStateList(stateList);
+        return match && match.route.query;
+};
+
+RouteMap.prototype._matchStateList = function(stateList)
+{
+        for (var i = 0; i < this._routes.length; ++i)
+        {
+                var route = this._routes[i];
+                var params = paramsFromStateList(route, stateList);
+
+                if (params)
+                {
+                        return {route: route, params: params};
+                }
+        }
+
+        return null;
+};
@@ -2,6 +2,278 @@
 
 var EventEmitter = require('events').EventEmitter;
 var Promise = require('bluebird');
+var BrowserHistory = require('./BrowserHistory');
+var HashHistory = require('./HashHistory');
+var Redirect = require('./Redirect');
+var ErrorState = require('./ErrorState');
+var QuerySchema = require('./QuerySchema');
+var errors = require('./errors');
+
+var MAX_REDIRECTS = 10;
+// Firefox used to limit the serialized history.state to 640k characters
+var MAX_DATA_SIZE = 640 * 1024;
+
+var QUEUE_POLICIES = ['latest', 'fifo', 'dropNew', 'abortCurrent'];
+
+function stateName(state)
+{
+        if (state && typeof state === 'object' && 'stateName' in state)
+        {
+                return state.stateName;
+        }
+
+        return String(state);
+}
+
+// (the same rules as Controller.statesEqual)
+function statesEqual(stateA, stateB)
+{
+        if (stateA &&
+            stateB &&
+            typeof stateA === 'object')
+        {
+                return stateA.isStateEqual(stateB);
+        }
+
+        return stateA === stateB;
+}
+
+// Is a state with the given name part of stateListA, but not of stateListB? (for example, if stateListA is the
+// list we are transitioning from, is that state being left?). A child state is always left if its parent is left.
+function stateChanges(stateListA, stateListB, name)
+{
+        stateListA = stateListA || [];
+        stateListB = stateListB || [];
+
+        var i = 0;
+        while (i < stateListA.length &&
+               i < stateListB.length &&
+               statesEqual(stateListA[i], stateListB[i]))
+        {
+                ++i;
+        }
+
+        return stateListA.slice(i).some(function(state)
+        {
+                return stateName(state) === name;
+        });
+}
+
+// "section" -> "#section"
+function normalizeFragment(fragment)
+{
+        fragment = String(fragment || '').replace(/^#/, '');
+        return fragment ? '#' + fragment : '';
+}
+
+// enterStates(stateList, true) or enterStates(stateList, {push: true, signal: signal, data: data, fragment: 'foo'})
+function transitionOptions(pushHistory)
+{
+        if (pushHistory && typeof pushHistory === 'object')
+        {
+                return {
+                        push: pushHistory.push === void 123 ? true : !!pushHistory.push,
+                        signal: pushHistory.signal || null,
+                        data: pushHistory.data,
+                        fragment: normalizeFragment(pushHistory.fragment)
+                };
+        }
+
+        return {
+                push: pushHistory === void 123 ? true : !!pushHistory,
+                signal: null,
+                data: void 123,
+                fragment: ''
+        };
+}
+
+// Can this data be stored in history.state? Returns an Error if it can not
+function historyDataError(data, maxSize)
+{
+        var json;
+
+        if (data === void 123)
+        {
+                return null;
+        }
+
+        try
+        {
+                json = JSON.stringify(data);
+        }
+        catch (err)
+        {
+                return Error('The `data` of a history entry must be serialisable: ' + err.message);
+        }
+
+        if (json.length > maxSize)
+        {
+                return Error('The `data` of a history entry must not be larger than ' + maxSize +
+                             ' characters (it is ' + json.length + ' characters)');
+        }
+
+        return null;
+}
+
+function createSessionId()
+{
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+function copyHistoryState(historyState)
+{
+        var copy = {statefulControllerRouterUrl: {}};
+
+        Object.keys(historyState.statefulControllerRouterUrl).forEach(function(key)
+        {
+                copy.statefulControllerRouterUrl[key] = historyState.statefulControllerRouterUrl[key];
+        });
+
+        return copy;
+}
+
+function withoutFragment(url)
+{
+        return url.replace(/#.*$/, '');
+}
+
+function withoutQuery(url)
+{
+        return url.replace(/[?#].*$/, '');
+}
+
+function decodeFragment(fragment)
+{
+        try
+        {
+                return decodeURIComponent(fragment);
+        }
+        catch (err)
+        {
+                // (malformed escape sequence, e.g. "#100%")
+                return fragment;
+        }
+}
+
+function fragmentOf(url)
+{
+        var match = /#.*$/.exec(url);
+        return match ? match[0] : '';
+}
+
+function normalizeBasePath(basePath)
+{
+        basePath = String(basePath || '').replace(/\/+$/, '');
+        return basePath && basePath[0] !== '/' ? '/' + basePath : basePath;
+}
+
+var TRAILING_SLASH_POLICIES = ['remove', 'add', 'keep'];
+
+function createCanonicalizer(options)
+{
+        if (!options || typeof options === 'function')
+        {
+                return options || null;
+        }
+
+        options = options === true ? {} : options;
+        var mergeSlashes = options.mergeSlashes === void 123 ? true : !!options.mergeSlashes;
+        var trailingSlash = options.trailingSlash || 'remove';
+        var lowercase = !!options.lowercase;
+
+        if (TRAILING_SLASH_POLICIES.indexOf(trailingSlash) < 0)
+        {
+                throw Error('Option `canonicalURL.trailingSlash` must be "remove", "add" or "keep"');
+        }
+
+        return function(url)
+        {
+                var match = /^([^?#]*)(.*)$/.exec(url);
+                var path = match[1];
+
+                if (mergeSlashes)
+                {
+                        path = path.replace(/\/{2,}/g, '/');
+                }
+
+                if (trailingSlash === 'remove')
+                {
+                        path = path.replace(/(.)\/+$/, '$1');
+                }
+                else if (trailingSlash === 'add' && !/\/$/.test(path))
+                {
+                        path += '/';
+                }
+
+                if (lowercase)
+                {
+                        path = path.toLowerCase();
+                }
+
+                return path + match[2];
+        };
+}
+
+function queryString(url)
+{
+        var match = /\?[^#]*/.exec(url);
+        return match ? match[0] : '';
+}
+
+// The phases of a transition that are measured, in the order they occur
+var TIMING_PHASES = ['fromURL', 'queue', 'state', 'history'];
+
+function createTiming(requestedAt)
+{
+        return {
+                requestedAt: requestedAt,
+                startedAt: null,
+                completedAt: null,
+                fromURL: 0,
+                queue: 0,
+                state: 0,
+                history: 0,
+                total: null
+        };
+}
+
+// Entries that were not created by a router (e.g. the first entry) have index 0
+function historyIndexOf(historyState)
+{
+        var routerState = historyState && historyState.statefulControllerRouterUrl;
+        return routerState && typeof routerState.index === 'number' ? routerState.index : 0;
+}
+
+// The direction of a "popstate" transition, by comparing the index of the entries
+function historyDirection(fromIndex, toIndex)
+{
+        if (toIndex < fromIndex)
+        {
+                return 'back';
+        }
+
+        if (toIndex > fromIndex)
+        {
+                return 'forward';
+        }
+
+        return 'jump';
+}
+
+function guardApplies(entry, transition)
+{
+        if (entry.leave !== null && !stateChanges(transition.from, transition.to, entry.leave))
+        {
+                return false;
+        }
+
+        if (entry.enter !== null && !stateChanges(transition.to, transition.from, entry.enter))
+        {
+                return false;
+        }
+
+        return true;
+}
 
 /** A client-side router for `stateful-controller` using the history API
  * @module stateful-controller-browser-router
@@ -16,28 +288,104 @@ var Promise = require('bluebird');
  * @param {!Window} window The window containing your DOM Document. In the browser you should simple pass `window` here
  * @param {!URLStateMap} urlStateMap An object implementing two functions: `toURL(StateList) -> string` and `fromURL(string) -> StateList`
  * @param {!module:stateful-controller/lib/Controller} frontController The controller to trigger transitions on. This is the ancestor of all your other controllers.
+ *        The router calls `frontController.state(stateList, upgrade, transition)`. The default `Controller#state()`
+ *        ignores the third argument, override `state()` to use the `RouterTransition` (see `RouterTransition`).
+ * @param {Object} [options]
+ * @param {(string|HistoryBackend)} [options.history='browser'] Where to store the URL and the history entries:
+ *        `"browser"` uses the history API, `"hash"` uses the fragment of the location (`#/path`),
+ *        `"auto"` uses the history API if it is supported and the fragment otherwise.
+ *        You can also pass your own object implementing HistoryBackend.
+ * @param {function(ControllerStateList):?string} [options.title] Returns the document title for a state list.
+ *        If not set, `urlStateMap.toTitle(stateList)` is used if the urlStateMap implements it.
+ * @param {Boolean} [options.scrollRestoration=false] Save the scroll position of each history entry before leaving it
+ *        and restore it after a popstate transition (back and forward). After a transition that pushes a new history entry, scroll to the
+ *        top, or to the element referenced by the fragment of the URL.
+ * @param {function(?ControllerStateList):(Window|Element)} [options.scrollContainer] Returns the element (or window) that
+ *        scrolls, for the given state list. Return `null` to leave the scroll position alone for that state list.
+ *        By default, the window is used.
+ * @param {Boolean} [options.restoreURLOnFailure=false] If a transition caused by the "popstate" event fails, restore the
+ *        history entry of `currentStateList` (or its URL), so that the location bar matches the state of the controllers.
+ * @param {string} [options.queue='latest'] What to do with a transition that is requested while another one is pending
+ *        (`queueEnterStates()` and the "popstate" event): `"latest"` keeps only the latest one in the queue;
+ *        `"fifo"` runs all of them in order (see `maxQueueLength`); `"dropNew"` drops the new one;
+ *        `"abortCurrent"` aborts the pending transition and runs the new one as soon as the front controller is done.
+ *        Transitions caused by the "popstate" event are never dropped by `"dropNew"` or `maxQueueLength`, because the
+ *        browser has already changed the location bar (with `"dropNew"` they replace a queued transition instead).
+ * @param {ControllerStateList} [options.errorStateList] If a transition fails, enter this state list instead
+ *        (e.g. `['error']`). The URL of the failed transition is kept in the location bar (or the current URL, if
+ *        `urlStateMap.toURL()` throws for the failed state list). The last state of this list is
+ *        replaced by an `ErrorState`, so that its controller receives the error.
+ * @param {ControllerStateList} [options.notFoundStateList] Enter this state list if `urlStateMap.fromURL()` returns
+ *        `null` for the URL in the location bar (e.g. `['pageNotFound']`). The URL is kept in the location bar.
+ *        If `fromURL()` throws, the transition fails with that error instead (see `errorStateList`).
+ * @param {number} [options.maxDataSize=655360] The maximum size of the `data` of a history entry, in characters
+ *        of JSON. Browsers limit the size of `history.state`.
+ * @param {number} [options.maxRedirects=10] The maximum amount of redirects a single transition may follow (see `Redirect`)
+ * @param {number} [options.maxQueueLength=Infinity] The maximum amount of queued transitions if the `queue` option is
+ *        `"fifo"`. If the queue is full, new transitions are dropped.
+ * @param {Boolean} [options.pageViewOnReplace=false] Also fire the "pageView" event if `replaceStateList()` changes
+ *        the URL
+ * @param {Boolean} [options.pageViewOnQueryChange=true] Fire the "pageView" event if only the query string of the
+ *        URL has changed
+ * @param {Boolean} [options.performanceMarks=false] Write the timing of each completed or failed transition to
+ *        `window.performance` as measures named after the URL (`"/foo"` for the whole transition, `"/foo state"`, etc
+ *        for each phase, see `RouterTiming`)
+ * @param {string} [options.basePath=''] The path the application is mounted at (e.g. `"/app"`). It is removed from the
+ *        location before `urlStateMap.fromURL()` and added to the result of `urlStateMap.toURL()`, so that the
+ *        urlStateMap only sees the part after it. Links and history entries outside of this path are left alone.
+ * @param {(Boolean|Object|function(string):string)} [options.canonicalURL] Canonicalise URLs that are read from the
+ *        location bar (and from links) before they are given to `urlStateMap.fromURL()`, so that `/foo`, `/foo/` and
+ *        `//foo` are the same page. `upgradeInitialState()` replaces a URL that is not canonical. Pass `true` for the
+ *        defaults, a function that returns the canonical form of a URL (relative to the `basePath`), or an object:
+ * @param {Boolean} [options.canonicalURL.mergeSlashes=true] Replace duplicate slashes in the path by a single one
+ * @param {string} [options.canonicalURL.trailingSlash='remove'] `"remove"` or `"add"` a slash at the end of the path,
+ *        or `"keep"` it as is. The path `/` is never changed.
+ * @param {Boolean} [options.canonicalURL.lowercase=false] Convert the path to lower case
+ * @param {(Object|QuerySchema)} [options.query] The query parameters used by `updateQuery()` and the `query` property
+ *        (see `QuerySchema`). Parameters that are not defined are strings. If the urlStateMap implements
+ *        `toQuerySchema(stateList)` (like `RouteMap`), the schema it returns for the current state list is used instead.
  */
-function Router(window, urlStateMap, frontController)
+function Router(window, urlStateMap, frontController, options)
 {
         EventEmitter.call(this);
+        options = options || {};
         this.window = window;
         this.urlStateMap = urlStateMap;
         this.frontController = frontController;
         this.currentStateList = null;
+        this.history = null;
+        this.historyIndex = 0;
+        this.sessionId = createSessionId();
+        this.titleResolver = options.title || null;
+        this.scrollRestoration = !!options.scrollRestoration;
+        this.scrollContainerResolver = options.scrollContainer || null;
+        this.restoreURLOnFailure = !!options.restoreURLOnFailure;
+        this.queuePolicy = options.queue || 'latest';
+        this.maxQueueLength = options.maxQueueLength === void 123 ? Infinity : options.maxQueueLength;
+        this.maxRedirects = options.maxRedirects === void 123 ? MAX_REDIRECTS : options.maxRedirects;
+        this.maxDataSize = options.maxDataSize === void 123 ? MAX_DATA_SIZE : options.maxDataSize;
+        this.errorStateList = options.errorStateList || null;
+        this.notFoundStateList = options.notFoundStateList || null;
+        this.performanceMarks = !!options.performanceMarks;
+        this.destroyed = false;
+        this.pageViewOnReplace = !!options.pageViewOnReplace;
+        this.pageViewOnQueryChange = options.pageViewOnQueryChange === void 123 ? true : !!options.pageViewOnQueryChange;
+        this.querySchema = new QuerySchema(options.query);
+        this.basePath = normalizeBasePath(options.basePath);
+        this.canonicalURL = createCanonicalizer(options.canonicalURL);
 
         this._pendingTransitionPromise = null;
+        this._pendingTransition = null;
         this._pendingReplace = null;
         this._initialHistoryState = null;
-        this._queue = {
-                hasEntry: false,
-                stateList: null,
-                fromHistory: false,
-                upgrade: false,
-                push: false,
-                promise: null,
-                resolve: null,
-                reject: null
-        };
+        this._currentHistoryState = null;
+        this._pageViewURL = null;
+        this._scrollPositions = {};
+        this._originalScrollRestoration = null;
+        this._goRequests = [];
+        this._queue = [];
+        this._guards = [];
+        this._middleware = [];
 
         if (!window || !urlStateMap || !frontController)
         {
@@ -50,17 +398,33 @@ function Router(window, urlStateMap, frontController)
                 throw Error('Argument `urlStateMap` must implement toURL(states) and fromURL(url)');
         }
 
-        if (!Router.isSupported(this.window))
+        if (QUEUE_POLICIES.indexOf(this.queuePolicy) < 0)
         {
-                throw Error('Argument `window` does not support the history API');
+                throw Error('Option `queue` must be "latest", "fifo", "dropNew" or "abortCurrent"');
         }
 
+        this.history = Router._createHistoryBackend(this.window, options.history || 'browser');
+
         if (this.frontController.isStatefulController1 !== true)
         {
                 throw Error('Argument `frontController` is not a stateful-controller');
         }
 
+        // (after the arguments have been checked, a constructor that throws leaves the window alone)
+        if (this.scrollRestoration &&
+            this.window.history &&
+            'scrollRestoration' in this.window.history)
+        {
+                // Let us handle it (until destroy() is called)
+                this._originalScrollRestoration = this.window.history.scrollRestoration;
+                this.window.history.scrollRestoration = 'manual';
+        }
+
         this._onpopstate = this._onpopstate.bind(this);
+        this._onlinkclick = this._onlinkclick.bind(this);
+        this._popStateListenerAttached = false;
+        this._unlistenHistory = null;
+        this._linkListenerAttached = false;
 }
 
 /**
@@ -70,13 +434,231 @@ function Router(window, urlStateMap, frontController)
  */
 Router.isSupported = function(window)
 {
-        return !!(window.history &&
-                  typeof window.history.pushState === 'function' &&
-                  typeof window.history.replaceState === 'function');
+        return BrowserHistory.isSupported(window);
+};
+
+Router._createHistoryBackend = function(window, history)
+{
+        if (typeof history === 'object')
+        {
+                return history;
+        }
+
+        if (history === 'auto')
+        {
+                history = Router.isSupported(window) ? 'browser' : 'hash';
+        }
+
+        if (history === 'browser')
+        {
+                if (!Router.isSupported(window))
+                {
+                        throw Error('Argument `window` does not support the history API');
+                }
+
+                return new BrowserHistory(window);
+        }
+
+        if (history === 'hash')
+        {
+                if (!HashHistory.isSupported(window))
+                {
+                        throw Error('Argument `window` does not support hash based history');
+                }
+
+                return new HashHistory(window);
+        }
+
+        throw Error('Option `history` must be "browser", "hash", "auto" or a HistoryBackend');
 };
 
 module.exports = Router;
 require('inherits')(Router, EventEmitter);
+Router.RouteMap = require('./RouteMap');
+Router.QuerySchema = QuerySchema;
+Router.BrowserHistory = BrowserHistory;
+Router.HashHistory = HashHistory;
+Router.MemoryHistory = require('./MemoryHistory');
+Router.Redirect = Redirect;
+Router.ErrorState = ErrorState;
+Router.TransitionCancelledError = errors.TransitionCancelledError;
+Router.AbortError = errors.AbortError;
+Router.TransitionDroppedError = errors.TransitionDroppedError;
+
+/**
+ * An object that stores history entries and the current URL, the router uses this
+ * object instead of talking to `window.history` directly.
+ * See lib/BrowserHistory.js and lib/HashHistory.js for the default implementations.
+ * @interface HistoryBackend
+ */
+/**
+ * @function
+ * @name HistoryBackend#getState
+ * @return {*} The state object of the current history entry
+ */
+/**
+ * @function
+ * @name HistoryBackend#getURL
+ * @return {!string} The path and query string of the current location, optionally followed by the fragment
+ */
+/**
+ * @function
+ * @name HistoryBackend#pushState
+ * @param {*} state
+ * @param {string} title
+ * @param {!string} url
+ */
+/**
+ * @function
+ * @name HistoryBackend#replaceState
+ * @param {*} state
+ * @param {string} title
+ * @param {!string} url
+ */
+/**
+ * @function
+ * @name HistoryBackend#go
+ * @param {!number} delta Move through the history entries, like `window.history.go()`.
+ *        Only required for `Router#back()`, `Router#forward()` and `Router#go()`.
+ */
+/**
+ * @function
+ * @name HistoryBackend#listen
+ * @param {!function(*)} callback Must be called with the state object of the new entry, whenever the user navigates
+ *        to a different history entry.
+ * @return {function()} Stops listening (see `Router#detachPopStateListener()`). If nothing is returned, the router
+ *        ignores the callback after it has been detached.
+ */
+
+/** A function that returns the document title for a state list (see the `title` option).
+ * If this value is `null`, `urlStateMap.toTitle` is used if it exists.
+ * @member {?function(ControllerStateList):?string} titleResolver
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Should the scroll position be saved and restored? (see the `scrollRestoration` option)
+ * @member {!boolean} scrollRestoration
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** A function that returns the element (or window) that scrolls for a state list, or `null` to leave the scroll
+ * position alone (see the `scrollContainer` option). If this value is `null`, the window is used.
+ * @member {?function(?ControllerStateList):(Window|Element)} scrollContainerResolver
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Should the URL be restored if a transition caused by the "popstate" event fails?
+ * (see the `restoreURLOnFailure` option)
+ * @member {!boolean} restoreURLOnFailure
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** What to do with a transition that is requested while another one is pending: "latest", "fifo", "dropNew" or
+ * "abortCurrent" (see the `queue` option)
+ * @member {!string} queuePolicy
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The maximum amount of queued transitions if `queuePolicy` is "fifo"
+ * @member {!number} maxQueueLength
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The maximum amount of redirects a single transition may follow (see the `maxRedirects` option)
+ * @member {!number} maxRedirects
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The state list to enter if a transition fails (see the `errorStateList` option)
+ * @member {?ControllerStateList} errorStateList
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The state list to enter if `urlStateMap.fromURL()` returns `null` (see the `notFoundStateList` option)
+ * @member {?ControllerStateList} notFoundStateList
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The maximum size of the `data` of a history entry (see the `maxDataSize` option)
+ * @member {!number} maxDataSize
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Fire the "pageView" event for `replaceStateList()` (see the `pageViewOnReplace` option)
+ * @member {!boolean} pageViewOnReplace
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Fire the "pageView" event if only the query string has changed (see the `pageViewOnQueryChange` option)
+ * @member {!boolean} pageViewOnQueryChange
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The path the application is mounted at, without a trailing slash (see the `basePath` option).
+ * An empty string if it is not set.
+ * @member {!string} basePath
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Returns the canonical form of a URL that has been read from the location bar or a link, or `null` to use URLs as
+ * they are (see the `canonicalURL` option)
+ * @member {?function(string):string} canonicalURL
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Parses and serialises the query string of the current URL (see the `query` option), unless
+ * `urlStateMap.toQuerySchema(currentStateList)` returns a schema
+ * @member {!QuerySchema} querySchema
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Has `destroy()` been called?
+ * @member {!boolean} destroyed
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** Write the timing of transitions to `window.performance` (see the `performanceMarks` option)
+ * @member {!boolean} performanceMarks
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The position of the current history entry: each entry that the router adds is stamped with the index of the
+ * previous entry plus one. Entries that were not created by a router (e.g. the entry the user started at) have index 0.
+ * @member {!number} historyIndex
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** A random identifier of this router instance, which is stamped on each history entry that it creates
+ * (`history.state.statefulControllerRouterUrl.session`). Entries with a different identifier have been created
+ * by a previous page load.
+ * @member {!string} sessionId
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+
+/** The history backend in use (by default a BrowserHistory)
+ * @member {!HistoryBackend} history
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
 
 /** The current list of states that the controllers are in.
  * During a state transition, this value represents the state that we are transitioning from.
@@ -89,9 +671,10 @@ require('inherits')(Router, EventEmitter);
  * Fired when the initial state is being upgraded
  *
  * @event module:stateful-controller-browser-router#upgradeInitialState
- * @param {!ControllerStateList} stateList
+ * @param {?ControllerStateList} stateList `null` if `urlStateMap.fromURL()` threw (the transition fails)
  * @param {String} url
  * @param {!Promise} promise Resolves when this transition is complete
+ * @param {!string} direction Always "upgrade"
  *
  */
 
@@ -99,9 +682,10 @@ require('inherits')(Router, EventEmitter);
  * Fired when the popstate event is triggering a state transition in this router.
  *
  * @event module:stateful-controller-browser-router#historyPopState
- * @param {!ControllerStateList} stateList
+ * @param {?ControllerStateList} stateList `null` if `urlStateMap.fromURL()` threw (the transition fails)
  * @param {String} url
  * @param {!Promise} promise Resolves when this transition is complete
+ * @param {!string} direction "back", "forward" or "jump" (see `RouterTransition`)
  *
  */
 
@@ -111,13 +695,198 @@ require('inherits')(Router, EventEmitter);
  * @event module:stateful-controller-browser-router#transitionComplete
  * @param {!ControllerStateList} stateList
  * @param {String} url
+ * @param {!string} direction See `RouterTransition`
+ * @param {!RouterTiming} timing
  *
  */
 
 /**
- * Fired when a transition has failed
+ * A navigation that is visible to the user, see the "pageView" event
+ * @typedef {Object} RouterPageView
+ * @property {!string} url The URL of the page, including the base path (e.g. `"/app/foo?bar=1"`), unlike the URL of
+ *           the other events which is relative to the base path
+ * @property {?string} referrer The `url` of the previous page view. For the first page view, this is
+ *           `document.referrer` (the page that linked to this application), or `null`.
+ * @property {?string} title The title of the document
+ * @property {!string} reason What caused this navigation: "enterStates", "queueEnterStates", "historyPopState",
+ *           "upgradeInitialState", "replaceStateList" or "updateQuery"
+ * @property {?string} direction See `RouterTransition`, `null` for "replaceStateList" and "updateQuery"
+ * @property {!ControllerStateList} stateList
+ */
+
+/**
+ * Fired exactly once for each navigation that is visible to the user, meant for analytics. This event is fired after
+ * "transitionComplete" (including `upgradeInitialState()`), unless the URL is the same as the URL of the previous page
+ * view (ignoring the fragment). See the `pageViewOnReplace` and `pageViewOnQueryChange` options.
+ *
+ * @event module:stateful-controller-browser-router#pageView
+ * @param {!RouterPageView} pageView
+ */
+
+/**
+ * Fired when the query string of the URL changes, but the path does not: by `updateQuery()`, or by a transition to
+ * a URL with the same path (e.g. the user pressed the back button after `updateQuery()`). The query strings are
+ * compared after they have been parsed by the query schema of the new state list (see the `query` option).
+ *
+ * @event module:stateful-controller-browser-router#queryChange
+ * @param {!Object} query The parsed query parameters of the new URL
+ * @param {!Object} previousQuery The parsed query parameters of the previous URL
+ * @param {!string} reason "updateQuery", or the `reason` of the transition (see `RouterTransition`)
+ */
+
+/**
+ * Fired when the user moves to a history entry that only differs from the current one by its fragment (e.g. by
+ * clicking a link to `#section`, or the back button after doing so). This does not cause a state transition.
+ *
+ * @event module:stateful-controller-browser-router#fragmentChange
+ * @param {!string} fragment The new fragment (e.g. `"#section"`), or an empty string
+ * @param {!string} previousFragment
+ */
+
+/**
+ * Fired when a transition starts, before the guards run. This event is fired for every transition source
+ * (`enterStates()`, `queueEnterStates()`, "popstate", `upgradeInitialState()`, links). Queued transitions fire this
+ * event when they leave the queue. `transition.from` is the `currentStateList` at this moment, `transition.url`
+ * is `null` if the URL is determined later (e.g. for `enterStates()`).
+ *
+ * @event module:stateful-controller-browser-router#transitionStart
+ * @param {!RouterTransition} transition
+ */
+
+/**
+ * Fired when a transition is added to the queue, because a different transition is pending
+ * (see `queueEnterStates()` and the `queue` option). Transitions that are dropped right away do not fire this event.
+ *
+ * @event module:stateful-controller-browser-router#transitionQueued
+ * @param {!RouterTransition} transition
+ * @param {!number} queueLength The amount of queued transitions, including this one
+ */
+
+/**
+ * Describes a state transition. This object is passed to guards, middleware and the events, and to the front
+ * controller as the third argument of `state(stateList, upgrade, transition)`.
+ *
+ * The default `Controller#state(states, upgrade)` of stateful-controller ignores that argument and does not pass it
+ * on to `enter()` or to the child controllers. To use `direction`, `data` or `signal` in your controllers, your front
+ * controller must override `state()` and keep the transition somewhere its children can find it:
+ * @example
+ * frontController.state = function(stateList, upgrade, transition)
+ * {
+ *         this.transition = transition; // this.getRootController().transition in the child controllers
+ *         return Controller.prototype.state.call(this, stateList, upgrade);
+ * };
+ * @typedef {Object} RouterTransition
+ * @property {?ControllerStateList} from The state list we are transitioning from (`currentStateList`)
+ * @property {?ControllerStateList} to The state list we are transitioning to. `null` if `urlStateMap.fromURL()` threw
+ *           (the transition fails with that error)
+ * @property {?string} url The URL of the `to` state list, if it is already known (e.g. for "historyPopState")
+ * @property {!string} fragment The fragment of the URL (e.g. `"#section"`), or an empty string. `urlStateMap.fromURL()`
+ *           never receives the fragment, it is kept separately.
+ * @property {!string} reason What caused this transition: "enterStates", "queueEnterStates", "historyPopState"
+ *           or "upgradeInitialState"
+ * @property {!boolean} upgrade
+ * @property {!boolean} push Will a new history entry be added?
+ * @property {!string} direction The way the user moves through the history: "push" (a new history entry is added),
+ *           "replace" (the current history entry is replaced), "upgrade" (see `upgradeInitialState()`), "back" or "forward"
+ *           (the user went to an earlier or later history entry, see `historyIndex`) or "jump" (the user went to an entry
+ *           at the same position, e.g. an entry that was not created by the router). This is useful to pick an animation.
+ * @property {?AbortSignal} signal Aborted when this transition is aborted, so that the controllers can stop early
+ *           (this requires overriding `state()`, see above).
+ *           If `window.AbortController` is not available, this is the signal given to `enterStates()` (or `null`).
+ * @property {!boolean} aborted
+ * @property {*} data The `data` of the history entry: given to `enterStates()` (etc), or stored in the history entry
+ *           that we are transitioning to ("historyPopState" and "upgradeInitialState"). `undefined` if there is none.
+ * @property {*} error The reason this transition failed, set before the `errorStateList` is entered
+ * @property {!RouterTiming} timing
+ */
+
+/**
+ * How long each phase of a transition took, in milliseconds. The timestamps are taken from `performance.now()`,
+ * or `Date.now()` if it is not available.
+ * @typedef {Object} RouterTiming
+ * @property {!number} requestedAt When the transition was requested (e.g. `enterStates()` was called)
+ * @property {?number} startedAt When the transition left the queue (or was started right away)
+ * @property {?number} completedAt When the transition completed or failed
+ * @property {!number} fromURL Time spent in `urlStateMap.fromURL()` ("popstate" and `upgradeInitialState()`)
+ * @property {!number} queue Time spent waiting for other transitions
+ * @property {!number} state Time spent in the `state()` method of the front controller (including redirects and
+ *           the `errorStateList`)
+ * @property {!number} history Time spent updating the history entry, title and scroll position
+ * @property {?number} total From `requestedAt` to `completedAt`
+ */
+
+/**
+ * A function that is called before a state transition starts. It may return (or resolve to):
+ * `false` to cancel the transition; a ControllerStateList (or a `Redirect`) to redirect to that state list instead;
+ * anything else to allow the transition.
+ * @callback RouterGuard
+ * @param {!RouterTransition} transition
+ * @return {(boolean|ControllerStateList|Redirect|Promise|undefined)}
+ */
+
+/**
+ * A function that wraps the state transition of the front controller (see `use()`).
+ * Call `next()` to continue with the next middleware (or the front controller), it returns a promise that resolves
+ * when the front controller is done. Return (or resolve to) that promise, or reject to fail the transition.
+ * @callback RouterMiddleware
+ * @param {!RouterTransition} transition
+ * @param {!function(): Promise} next
+ * @return {(Promise|undefined)}
+ */
+
+/**
+ * Fired when a guard has cancelled a transition.
+ *
+ * @event module:stateful-controller-browser-router#transitionCancelled
+ * @param {!RouterTransition} transition
+ */
+
+/**
+ * Fired when a transition has been aborted (see `abortPending()`).
+ *
+ * @event module:stateful-controller-browser-router#transitionAborted
+ * @param {!RouterTransition} transition
+ */
+
+/**
+ * Fired when a queued transition is dropped without running (see the `queue` option).
+ * The promise of the transition rejects with a `TransitionDroppedError`, unless it was caused by the "popstate" event.
+ *
+ * @event module:stateful-controller-browser-router#transitionDropped
+ * @param {!RouterTransition} transition
+ * @param {!string} reason "superseded" (a newer transition has been queued), "busy" (the `queue` option is "dropNew")
+ *        or "queueFull" (see the `maxQueueLength` option)
+ */
+
+/**
+ * Fired when a transition is redirected to a different state list, by `urlStateMap.fromURL()`, a guard or a controller
+ * (see `Redirect`). A redirect never adds a history entry of its own: if the URL of the original state list is already
+ * in the location bar (e.g. "historyPopState"), it is replaced.
+ *
+ * @event module:stateful-controller-browser-router#redirect
+ * @param {?ControllerStateList} from The state list that was redirected, `null` if `urlStateMap.fromURL()` returned
+ *        the redirect
+ * @param {!ControllerStateList} to
+ * @param {!RouterTransition} transition
+ */
+
+/**
+ * Fired when a transition has failed. If the `errorStateList` option is set, that state list has been entered
+ * (or has failed too) by the time this event is fired.
  *
  * @event module:stateful-controller-browser-router#transitionFailed
+ * @param {?ControllerStateList} stateList `null` if `urlStateMap.fromURL()` threw
+ * @param {Error} err
+ * @param {!RouterTiming} timing
+ */
+
+/**
+ * Fired when a transition caused by clicking a link has failed.
+ * ("transitionFailed" is also fired).
+ * If you do not listen for this event, failed link transitions will
+ * cause an unhandled rejection.
+ *
+ * @event module:stateful-controller-browser-router#linkClickFailed
  * @param {!ControllerStateList} stateList
  * @param {Error} err
  */
@@ -134,12 +903,101 @@ require('inherits')(Router, EventEmitter);
  */
 
 
+/**
+ * Add a guard that is able to cancel or redirect state transitions (e.g. to prevent leaving a form with unsaved data).
+ * Guards run in the order they were added, before the front controller is asked to transition.
+ *
+ * If a guard cancels a transition, the promise returned by `enterStates()` (etc) rejects with a
+ * `TransitionCancelledError`. If a guard cancels a transition caused by the "popstate" event, the URL of
+ * `currentStateList` is restored (the browser has already changed the location bar).
+ * If a guard redirects, the guards run again for the new state list.
+ *
+ * @example
+ * router.addGuard(function(transition)
+ * {
+ *         return !form.dirty || window.confirm('Discard your changes?');
+ * }, {leave: 'editArticle'});
+ * @param {!RouterGuard} guard
+ * @param {Object} [options]
+ * @param {string} [options.leave] Only run this guard if a state with this name is being left
+ * @param {string} [options.enter] Only run this guard if a state with this name is being entered
+ */
+Router.prototype.addGuard = function(guard, options)
+{
+        this._assertNotDestroyed();
+
+        if (typeof guard !== 'function')
+        {
+                throw Error('Argument `guard` must be a function');
+        }
+
+        options = options || {};
+
+        this._guards.push({
+                guard: guard,
+                leave: options.leave || null,
+                enter: options.enter || null
+        });
+};
+
+/**
+ * Remove a guard that was previously added using `addGuard()`
+ * @param {!RouterGuard} guard
+ */
+Router.prototype.removeGuard = function(guard)
+{
+        this._guards = this._guards.filter(function(entry)
+        {
+                return entry.guard !== guard;
+        });
+};
+
+/**
+ * Add a middleware that wraps the state transition of the front controller, for every transition
+ * (`enterStates()`, `queueEnterStates()`, "popstate", `upgradeInitialState()`, etc). Middleware runs in the order it
+ * was added, after the guards. If the transition is redirected, the middleware runs again for the new state list.
+ *
+ * A middleware may throw (or reject with) a `Redirect`. If it does not call `next()`, the transition is cancelled:
+ * the promise returned by `enterStates()` (etc) rejects with a `TransitionCancelledError`.
+ *
+ * @example
+ * router.use(function(transition, next)
+ * {
+ *         var start = Date.now();
+ *         return next().then(function()
+ *         {
+ *                 console.log(transition.reason, transition.to, Date.now() - start);
+ *         });
+ * });
+ * @param {!RouterMiddleware} middleware
+ */
+Router.prototype.use = function(middleware)
+{
+        this._assertNotDestroyed();
+
+        if (typeof middleware !== 'function')
+        {
+                throw Error('Argument `middleware` must be a function');
+        }
+
+        this._middleware.push(middleware);
+};
+
 /**
  * Start listening for popstate events (e.g. the user uses the back button)
  */
 Router.prototype.attachPopStateListener = function()
 {
-        this.window.addEventListener('popstate', this._onpopstate);
+        this._assertNotDestroyed();
+
+        if (this._popStateListenerAttached)
+        {
+                return;
+        }
+
+        var unlisten = this.history.listen(this._onpopstate);
+        this._unlistenHistory = typeof unlisten === 'function' ? unlisten : null;
+        this._popStateListenerAttached = true;
 
         if (!this._initialHistoryState)
         {
@@ -147,318 +1005,1855 @@ Router.prototype.attachPopStateListener = function()
         }
 };
 
+/**
+ * Stop listening for popstate events. This reverses `attachPopStateListener()`.
+ */
+Router.prototype.detachPopStateListener = function()
+{
+        if (!this._popStateListenerAttached)
+        {
+                return;
+        }
+
+        this._popStateListenerAttached = false;
+
+        if (this._unlistenHistory)
+        {
+                this._unlistenHistory();
+                this._unlistenHistory = null;
+        }
+
+        this._rejectGoRequests(Error('The popstate listener has been detached'));
+};
+
+/**
+ * Start intercepting clicks on links (`<a href="...">`) in the document.
+ * A click on a link to the same origin is resolved using `urlStateMap.fromURL` and
+ * passed to `queueEnterStates()`, instead of letting the browser load the page.
+ *
+ * Clicks are left alone (the browser handles them as usual) if:
+ * a modifier key or a button other than the primary one is used; the link has a `target`
+ * attribute (other than "_self"), a `download` attribute, a `data-router-ignore` attribute or
+ * `rel="external"`; the link points to a different origin; the link only changes the fragment
+ * of the current page; or `fromURL` throws for the URL of the link.
+ */
+Router.prototype.attachLinkListener = function()
+{
+        this._assertNotDestroyed();
+        this.window.document.addEventListener('click', this._onlinkclick);
+        this._linkListenerAttached = true;
+};
+
+/**
+ * Stop intercepting clicks on links. This reverses `attachLinkListener()`.
+ */
+Router.prototype.detachLinkListener = function()
+{
+        if (!this._linkListenerAttached)
+        {
+                return;
+        }
+
+        this.window.document.removeEventListener('click', this._onlinkclick);
+        this._linkListenerAttached = false;
+};
+
+/**
+ * Remove all the listeners of this router (popstate, links and the listeners of its own events) and abort the pending
+ * and queued transitions: their promises reject with an `AbortError`. The history is left alone, except for
+ * `history.scrollRestoration` which gets back the value it had before the `scrollRestoration` option changed it.
+ * Afterwards, the router releases the window, the history backend, `urlStateMap` and the front controller, and methods
+ * that start a transition (or add a listener) throw (or reject). Calling `destroy()` again does nothing.
+ *
+ * The front controller can not be interrupted (see `abortPending()`), it is notified through `transition.signal`.
+ * @fires module:stateful-controller-browser-router#transitionAborted
+ */
+Router.prototype.destroy = function()
+{
+        if (this.destroyed)
+        {
+                return;
+        }
+
+        this._rejectGoRequests(new errors.AbortError('The router has been destroyed'));
+        this.detachPopStateListener();
+        this.detachLinkListener();
+        this.destroyed = true;
+
+        this._queue.slice().forEach(function(entry)
+        {
+                this._abortTransition(entry.transition, 'The router has been destroyed');
+        }, this);
+
+        if (this._pendingTransition)
+        {
+                this._abortTransition(this._pendingTransition, 'The router has been destroyed');
+        }
+
+        this.removeAllListeners();
+
+        if (this._originalScrollRestoration !== null)
+        {
+                this.window.history.scrollRestoration = this._originalScrollRestoration;
+                this._originalScrollRestoration = null;
+        }
+
+        this.window = null;
+        this.history = null;
+        this.urlStateMap = null;
+        this.frontController = null;
+        this._guards = [];
+        this._middleware = [];
+        this._initialHistoryState = null;
+        this._currentHistoryState = null;
+        this._pendingReplace = null;
+        this._scrollPositions = {};
+};
 
 /**
  * Determine the current state of the page (by looking at `history.state` or `location`)
  * and send an "upgrade" state transition to the front controller.
  * This method should be called if the server has sent you a html document of a specific state list that you would like to wrap.
- * @returns {!Promise} Resolves when the state transition of the front controller is done.
+ * @returns {!Promise} Resolves when the state transition of the front controller is done. Rejects if the location is
+ *          outside of the base path (see the `basePath` option).
  * @fires module:stateful-controller-browser-router#upgradeInitialState
  */
 Router.prototype.upgradeInitialState = function()
 {
+        this._assertNotDestroyed();
         this._saveStateAsInitial();
-        return this._handleHistoryState(this._initialHistoryState, true, 'upgradeInitialState');
+        return this._handleHistoryState(this._initialHistoryState, true, 'upgrade', 'upgradeInitialState');
 };
 
 /**
  * Trigger a state transition to the given stateList using the front controller.
  *
  * @param {!ControllerStateList} stateList
- * @param {Boolean} [pushHistory=true] If this value is `true`, a new entry will be
- *                  added to the browser history
+ * @param {(Boolean|Object)} [pushHistory=true] If this value is `true`, a new entry will be
+ *                  added to the browser history. You can also pass an object with these options:
+ * @param {Boolean} [pushHistory.push=true] Same as passing a boolean
+ * @param {AbortSignal} [pushHistory.signal] Aborts the transition, see `abortPending()`
+ * @param {*} [pushHistory.data] Stored in the history entry, must be serialisable. This value is available to the
+ *        front controller as `transition.data` and it is handed back when the user returns to this entry.
+ * @param {string} [pushHistory.fragment] Added to the URL (e.g. `"section"` or `"#section"`). After the transition,
+ *        the element with this id is scrolled into view and focused.
  * @return {!Promise} Resolves when the state transition of the front controller is done.
  *         If a state transition is pending, this promise will reject.
+ *         If a guard cancels the transition, this promise will reject with a `TransitionCancelledError`.
+ *         If the transition is aborted, this promise will reject with an `AbortError`.
+ * @fires module:stateful-controller-browser-router#transitionStart
  * @fires module:stateful-controller-browser-router#transitionComplete
  */
 Router.prototype.enterStates = Promise.method(function enterStates(stateList, pushHistory)
 {
-        if (pushHistory === void 123)
+        var options = transitionOptions(pushHistory);
+        this._assertNotDestroyed();
+
+        if (this.pending)
+        {
+                throw Error('A previous state transition is still pending');
+        }
+
+        if (options.signal && options.signal.aborted)
+        {
+                throw new errors.AbortError();
+        }
+
+        var dataError = historyDataError(options.data, this.maxDataSize);
+        if (dataError)
+        {
+                throw dataError;
+        }
+
+        return this._runTransition(this._createTransition(stateList, {
+                push: options.push,
+                signal: options.signal,
+                data: options.data,
+                fragment: options.fragment,
+                reason: 'enterStates'
+        }));
+});
+
+/**
+ * Trigger a state transition to the given stateList using the front controller.
+ * If a state transition is currently in progress (see the `pending` attribute), the new state
+ * transition will be deferred until the previous one is complete.
+ * By default, if there already is a state transition queued, the `stateList` given in this method call will
+ * overwrite the previously queued transition. (in other words, the queue has a max size of one).
+ * The `queue` option of the constructor changes this behaviour.
+ *
+ * This method is most useful when responding to user input. If a user rapidly clicks on different
+ * buttons, only the last one he clicked on should be the state he ends up with. There is no need to
+ * go through all the transitions in between.
+ *
+ * @param {!ControllerStateList} stateList
+ * @param {(Boolean|Object)} [pushHistory=true] If this value is `true`, a new entry will be
+ *                  added to the browser history. You can also pass an object with these options:
+ * @param {Boolean} [pushHistory.push=true] Same as passing a boolean
+ * @param {AbortSignal} [pushHistory.signal] Aborts the transition, see `abortPending()`
+ * @param {*} [pushHistory.data] Stored in the history entry, must be serialisable. This value is available to the
+ *        front controller as `transition.data` and it is handed back when the user returns to this entry.
+ * @param {string} [pushHistory.fragment] Added to the URL (e.g. `"section"` or `"#section"`). After the transition,
+ *        the element with this id is scrolled into view and focused.
+ * @return {!Promise} Resolves when the state transition of the front controller is done.
+ *         If the transition is aborted, this promise will reject with an `AbortError`.
+ *         If the transition is dropped from the queue, this promise will reject with a `TransitionDroppedError`.
+ * @fires module:stateful-controller-browser-router#transitionStart
+ * @fires module:stateful-controller-browser-router#transitionComplete
+ * @fires module:stateful-controller-browser-router#transitionQueued
+ * @fires module:stateful-controller-browser-router#transitionDropped
+ */
+Router.prototype.queueEnterStates = function(stateList, pushHistory)
+{
+        var options = transitionOptions(pushHistory);
+
+        if (this.destroyed)
+        {
+                return Promise.reject(Error('The router has been destroyed'));
+        }
+
+        if (options.signal && options.signal.aborted)
+        {
+                return Promise.reject(new errors.AbortError());
+        }
+
+        var dataError = historyDataError(options.data, this.maxDataSize);
+        if (dataError)
+        {
+                return Promise.reject(dataError);
+        }
+
+        var transition = this._createTransition(stateList, {
+                push: options.push,
+                signal: options.signal,
+                data: options.data,
+                fragment: options.fragment,
+                reason: 'queueEnterStates'
+        });
+
+        if (this.pending)
+        {
+                return this._addToQueue(transition);
+        }
+        else
+        {
+                return this._runTransition(transition);
+        }
+};
+
+/**
+ * Abort the pending state transition and all the queued state transitions.
+ * The promises of these transitions reject with an `AbortError` and no history entry is added for them.
+ *
+ * The front controller can not be interrupted by the router: it is notified through `transition.signal`
+ * (the third argument of `state()`, which the default `Controller#state()` ignores, see `RouterTransition`), and `pending` stays `true` until it is done. If the front controller
+ * completes the transition anyway, `currentStateList` is updated, but the URL is left alone.
+ * @fires module:stateful-controller-browser-router#transitionAborted
+ */
+Router.prototype.abortPending = function()
+{
+        this._queue.slice().forEach(function(entry)
+        {
+                this._abortTransition(entry.transition);
+        }, this);
+
+        if (this._pendingTransition)
+        {
+                this._abortTransition(this._pendingTransition);
+        }
+};
+
+/**
+ * This method does not perform a state transition, it only sets a new URL for the current state.
+ * @param {!ControllerStateList} stateList
+ * @param {Object} [options]
+ * @param {*} [options.data] Stored in the history entry, must be serialisable (see `enterStates()`)
+ */
+Router.prototype.replaceStateList = function(stateList, options)
+{
+        this._assertNotDestroyed();
+        var data = options ? options.data : void 123;
+        var dataError = historyDataError(data, this.maxDataSize);
+
+        if (dataError)
+        {
+                throw dataError;
+        }
+
+        if (this.pending)
+        {
+                this._pendingReplace = {stateList: stateList, data: data};
+        }
+        else
+        {
+                this.currentStateList = stateList;
+                var url = this._pushHistoryState(this.currentStateList, false, null, data);
+
+                if (this.pageViewOnReplace)
+                {
+                        this._pageView(stateList, url, 'replaceStateList', null);
+                }
+        }
+};
+
+/**
+ * Merge parameters into the query string of the current URL. Like `replaceStateList()`, this method does not
+ * perform a state transition: `frontController.state()` is not called (listen for the "queryChange" event instead).
+ * The query string is serialised by the query schema of the current state list (see the `query` option), so
+ * parameters that are `null`, `undefined` or equal to their default are removed. The fragment of the URL is kept.
+ *
+ * If that schema comes from the urlStateMap (e.g. a `RouteMap` route with a `query`), the query parameters are part
+ * of the state list: `currentStateList` is replaced by `urlStateMap.fromURL()` of the new URL, so that `state.query`
+ * is up to date. Otherwise `currentStateList` does not change.
+ * @example
+ * searchInput.addEventListener('input', function()
+ * {
+ *         router.updateQuery({q: searchInput.value, page: null});
+ * });
+ * @param {!Object} params
+ * @param {Object} [options]
+ * @param {boolean} [options.push=false] Add a new history entry, instead of replacing the current one
+ */
+Router.prototype.updateQuery = function(params, options)
+{
+        this._assertNotDestroyed();
+        var push = !!(options && options.push);
+
+        if (this.pending)
+        {
+                throw Error('The query can not be updated while a state transition is pending');
+        }
+
+        if (!this.currentStateList)
+        {
+                throw Error('The query can not be updated before the first state transition');
+        }
+
+        var previousURL = this._currentURL();
+        var querySchema = this._querySchemaOf(this.currentStateList);
+        var query = querySchema.parse(queryString(previousURL));
+
+        Object.keys(params || {}).forEach(function(key)
+        {
+                query[key] = params[key];
+        });
+
+        var url = withoutQuery(previousURL) + querySchema.stringify(query) + fragmentOf(previousURL);
+
+        if (url === previousURL)
+        {
+                return;
+        }
+
+        var data;
+
+        if (push)
+        {
+                this._saveScrollPosition();
+        }
+        else if (this._currentHistoryState)
+        {
+                data = this._currentHistoryState.statefulControllerRouterUrl.data;
+        }
+
+        if (querySchema !== this.querySchema)
+        {
+                // (the query parameters are part of the state list)
+                this.currentStateList = this.urlStateMap.fromURL(withoutFragment(url));
+        }
+
+        url = this._pushHistoryState(this.currentStateList, push, url, data);
+        this._queryChange(previousURL, url, 'updateQuery');
+
+        if (push || this.pageViewOnReplace)
+        {
+                this._pageView(this.currentStateList, url, 'updateQuery', null);
+        }
+};
+
+/** The parsed query parameters of the current URL (see the `query` option)
+ * @member {!Object} query
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+Object.defineProperty(Router.prototype, 'query', {
+        get: function()
+        {
+                return this._querySchemaOf(this.currentStateList).parse(queryString(this._currentURL()));
+        }
+});
+
+// The query schema of the route of the state list (see RouteMap#toQuerySchema), or the one of the `query` option
+Router.prototype._querySchemaOf = function(stateList)
+{
+        var querySchema = stateList &&
+                          typeof this.urlStateMap.toQuerySchema === 'function' &&
+                          this.urlStateMap.toQuerySchema(stateList);
+
+        return querySchema || this.querySchema;
+};
+
+/**
+ * Remove the base path (see the `basePath` option) from a URL.
+ * @example
+ * router.stripBasePath('/app/users/5'); // "/users/5"
+ * router.stripBasePath('/other'); // null
+ * @param {!string} url A path, optionally followed by a query string and fragment
+ * @return {?string} The URL as it is given to `urlStateMap.fromURL()`, or `null` if it is outside of the base path
+ *         (it does not belong to this router)
+ */
+Router.prototype.stripBasePath = function(url)
+{
+        var basePath = this.basePath;
+
+        if (!basePath)
+        {
+                return url;
+        }
+
+        if (url.slice(0, basePath.length) !== basePath)
+        {
+                return null;
+        }
+
+        var rest = url.slice(basePath.length);
+
+        if (!rest || rest[0] === '?' || rest[0] === '#')
+        {
+                return '/' + rest;
+        }
+
+        // (e.g. "/application" is not inside "/app")
+        return rest[0] === '/' ? rest : null;
+};
+
+/**
+ * Is the previous history entry one that has been created by this application? (as opposed to an external site
+ * or the entry the user started at). Use this to decide between `back()` and navigating to a parent page.
+ * @return {boolean}
+ */
+Router.prototype.canGoBack = function()
+{
+        return this.historyIndex > 0;
+};
+
+/**
+ * Go to the previous history entry, like the back button of the browser. See `go()`.
+ * @return {!Promise} Resolves when the state transition caused by the "popstate" event is complete (or right away
+ *         if only the fragment changes, see the "fragmentChange" event)
+ */
+Router.prototype.back = function()
+{
+        return this.go(-1);
+};
+
+/**
+ * Go to the next history entry, like the forward button of the browser. See `go()`.
+ * @return {!Promise} Resolves when the state transition caused by the "popstate" event is complete (or right away
+ *         if only the fragment changes, see the "fragmentChange" event)
+ */
+Router.prototype.forward = function()
+{
+        return this.go(1);
+};
+
+/**
+ * Move through the history entries, like `window.history.go()`. The popstate listener must be attached
+ * (see `attachPopStateListener()`), otherwise the promise rejects. Going back further than the entries created by
+ * this application rejects too.
+ *
+ * The browser does not report that there is no entry `delta` entries forward, it ignores the call instead. In that
+ * case the promise settles with the next "popstate" event, or rejects when the popstate listener is detached
+ * (or with an `AbortError` when the router is destroyed).
+ * @param {!number} delta
+ * @return {!Promise} Resolves when the state transition caused by the "popstate" event is complete (or right away
+ *         if only the fragment changes, or if the new history entry does not belong to this application)
+ */
+Router.prototype.go = Promise.method(function go(delta)
+{
+        this._assertNotDestroyed();
+
+        if (typeof delta !== 'number' || !delta)
+        {
+                throw Error('Argument `delta` must be a number other than 0');
+        }
+
+        if (this.historyIndex + delta < 0)
+        {
+                throw Error('Can not go back ' + (-delta) + ' entries, only ' + this.historyIndex +
+                            ' entries have been created by this application');
+        }
+
+        if (!this._popStateListenerAttached)
+        {
+                throw Error('The popstate listener must be attached, see attachPopStateListener()');
+        }
+
+        // (settled by the next "popstate" event, see _onpopstate)
+        var promise = new Promise(function(resolve, reject)
+        {
+                this._goRequests.push({resolve: resolve, reject: reject});
+        }.bind(this));
+
+        this.history.go(delta);
+        return promise;
+});
+
+/** Is there a state transition currently pending?
+ * @member {!boolean} pending
+ * @memberOf module:stateful-controller-browser-router
+ * @instance
+ */
+Object.defineProperty(Router.prototype, 'pending', {
+        get: function()
+        {
+                return !!(this._pendingTransitionPromise || this._queue.length);
+        }
+});
+
+
+Router.prototype._saveStateAsInitial = function()
+{
+        var state = this.history.getState();
+        if (state && state.statefulControllerRouterUrl)
+        {
+                this._initialHistoryState = state;
+        }
+        else
+        {
+                var url = this._locationURL();
+                this._initialHistoryState = this._urlToHistoryState(url);
+
+                if (url !== null && url !== this.stripBasePath(this.history.getURL()))
+                {
+                        // Show the canonical URL in the location bar
+                        this.history.replaceState(this._initialHistoryState, '', this.basePath + url);
+                }
+        }
+
+        this.historyIndex = historyIndexOf(this._initialHistoryState);
+};
+
+Router.prototype._addToQueue = function(transition)
+{
+        var entry = {
+                transition: transition,
+                resolve: null,
+                reject: null
+        };
+
+        var promise = new Promise(function(resolve, reject)
+        {
+                entry.resolve = resolve;
+                entry.reject = reject;
+        });
+
+        // The browser has already moved to the URL of a "popstate" transition, dropping it would leave the
+        // location bar out of sync with the controllers
+        var popState = transition.reason === 'historyPopState';
+
+        if (this.queuePolicy === 'dropNew' && !popState)
+        {
+                this._dropQueueEntry(entry, 'busy');
+                return promise;
+        }
+
+        if (this.queuePolicy === 'fifo')
+        {
+                if (this._queue.length >= this.maxQueueLength && !popState)
+                {
+                        this._dropQueueEntry(entry, 'queueFull');
+                        return promise;
+                }
+        }
+        else
+        {
+                if (this.queuePolicy === 'abortCurrent' && this._pendingTransition)
+                {
+                        this._abortTransition(this._pendingTransition);
+                }
+
+                // only one entry in the queue
+                this._queue.splice(0).forEach(function(oldEntry)
+                {
+                        this._dropQueueEntry(oldEntry, 'superseded');
+                }, this);
+        }
+
+        this._queue.push(entry);
+        this.emit('transitionQueued', transition, this._queue.length);
+        return promise;
+};
+
+Router.prototype._dropQueueEntry = function(entry, reason)
+{
+        var transition = entry.transition;
+        this._releaseTransition(transition);
+        this.emit('transitionDropped', transition, reason);
+
+        if (transition.reason === 'historyPopState')
+        {
+                // (nobody is waiting for this promise)
+                entry.resolve(null);
+        }
+        else
+        {
+                var err = new errors.TransitionDroppedError('The state transition was dropped from the queue (' + reason + ')');
+                err.reason = reason;
+                entry.reject(err);
+        }
+};
+
+Router.prototype._onpopstate = function(state)
+{
+        if (!this._popStateListenerAttached)
+        {
+                // (a HistoryBackend that is not able to stop listening)
+                return;
+        }
+
+        // The browser has already moved to the other entry, but the page still shows the entry we are leaving
+        this._rememberScrollPosition();
+
+        // If we end up at an entry that was not created by us (e.g. the first history entry, or an
+        // entry that was added by changing the fragment), the state will be null
+        var url = state ? null : this._locationURL();
+
+        if (!state && url === null)
+        {
+                // (outside of the base path, this entry does not belong to us)
+                this._resolveGoRequests();
+                return;
+        }
+
+        var historyState = state || this._urlToHistoryState(url);
+        var fragmentChange = this._isFragmentChange(historyState);
+
+        if (!state && fragmentChange)
+        {
+                // (an entry added by following a link to a fragment, it comes after the one we were at)
+                this._stampHistoryState(historyState, this.historyIndex + 1);
+        }
+
+        var direction = 'jump';
+
+        if (historyState.statefulControllerRouterUrl)
+        {
+                var index = historyIndexOf(historyState);
+                direction = historyDirection(this.historyIndex, index);
+
+                // (the browser is at this entry now, even if the transition fails)
+                this.historyIndex = index;
+        }
+
+        if (fragmentChange)
+        {
+                this._changeFragment(historyState, !state);
+                this._resolveGoRequests();
+                return;
+        }
+
+        // (undefined if the history state does not belong to us)
+        this._resolveGoRequests(this._handleHistoryState(historyState, false, direction, 'historyPopState'));
+};
+
+// Settle the promises returned by go(), the "popstate" event they were waiting for has happened
+Router.prototype._resolveGoRequests = function(transitionPromise)
+{
+        var goRequests = this._goRequests;
+        this._goRequests = [];
+
+        goRequests.forEach(function(request)
+        {
+                request.resolve(transitionPromise);
+        });
+};
+
+Router.prototype._rejectGoRequests = function(err)
+{
+        var goRequests = this._goRequests;
+        this._goRequests = [];
+
+        goRequests.forEach(function(request)
+        {
+                request.reject(err);
+        });
+};
+
+Router.prototype._onlinkclick = function(e)
+{
+        if (e.defaultPrevented ||
+            e.button !== 0 ||
+            e.metaKey ||
+            e.ctrlKey ||
+            e.shiftKey ||
+            e.altKey)
+        {
+                return;
+        }
+
+        var anchor = e.target;
+        while (anchor && String(anchor.nodeName).toUpperCase() !== 'A')
+        {
+                anchor = anchor.parentNode;
+        }
+
+        if (!anchor ||
+            !anchor.hasAttribute('href') ||
+            anchor.hasAttribute('download') ||
+            anchor.hasAttribute('data-router-ignore') ||
+            (anchor.getAttribute('target') || '_self') !== '_self' ||
+            /(^|\s)external(\s|$)/i.test(anchor.getAttribute('rel') || ''))
+        {
+                return;
+        }
+
+        var location = this.window.location;
+        if (anchor.protocol !== location.protocol ||
+            anchor.host !== location.host)
+        {
+                return;
+        }
+
+        // (old IE omits the leading slash)
+        var path = (anchor.pathname[0] === '/' ? '' : '/') + anchor.pathname + anchor.search;
+
+        if (anchor.hash &&
+            path === location.pathname + location.search)
+        {
+                // Let the browser scroll to the anchor
+                return;
+        }
+
+        var url = this._routerURL(path);
+        if (url === null)
+        {
+                // Outside of the base path, let the browser load it
+                return;
+        }
+
+        var stateList;
+        try
+        {
+                stateList = this.urlStateMap.fromURL(url);
+        }
+        catch (err)
+        {
+                // Unknown URL, let the browser load it
+                return;
+        }
+
+        if (!stateList)
+        {
+                return;
+        }
+
+        e.preventDefault();
+
+        this.queueEnterStates(stateList, {fragment: anchor.hash}).bind(this).catch(function(err)
+        {
+                if (err instanceof errors.TransitionDroppedError ||
+                    err instanceof errors.AbortError)
+                {
+                        // A newer click has replaced this transition, that is not a failure
+                        return;
+                }
+
+                if (stateList instanceof Redirect)
+                {
+                        stateList = stateList.stateList;
+                }
+
+                if (this.emit('linkClickFailed', stateList, err))
+                {
+                        // Event was handled, stop propagating the error
+                        return;
+                }
+
+                return Promise.reject(err);
+        });
+};
+
+Router.prototype._urlToHistoryState = function(url, title, data)
+{
+        var historyState = {
+                statefulControllerRouterUrl: {
+                        url: url
+                }
+        };
+
+        if (typeof title === 'string')
+        {
+                historyState.statefulControllerRouterUrl.title = title;
+        }
+
+        if (data !== void 123)
+        {
+                historyState.statefulControllerRouterUrl.data = data;
+        }
+
+        return historyState;
+};
+
+Router.prototype._resolveTitle = function(stateList)
+{
+        var title = null;
+
+        if (this.titleResolver)
+        {
+                title = this.titleResolver(stateList);
+        }
+        else if (typeof this.urlStateMap.toTitle === 'function')
+        {
+                title = this.urlStateMap.toTitle(stateList);
+        }
+
+        return typeof title === 'string' ? title : null;
+};
+
+// Use the title of the state list, or the title that was stored in the history entry
+Router.prototype._resolveHistoryTitle = function(stateList, historyState)
+{
+        var title = this._resolveTitle(stateList);
+
+        if (title === null && typeof historyState.statefulControllerRouterUrl.title === 'string')
+        {
+                title = historyState.statefulControllerRouterUrl.title;
+        }
+
+        return title;
+};
+
+Router.prototype._applyTitle = function(title)
+{
+        var document = this.window.document;
+
+        if (title !== null && document)
+        {
+                document.title = title;
+        }
+};
+
+Router.prototype._scrollContainer = function(stateList)
+{
+        if (!this.scrollRestoration)
+        {
+                return null;
+        }
+
+        if (this.scrollContainerResolver)
+        {
+                return this.scrollContainerResolver(stateList);
+        }
+
+        return this.window;
+};
+
+function getScrollPosition(container)
+{
+        if ('pageXOffset' in container)
+        {
+                return {x: container.pageXOffset, y: container.pageYOffset};
+        }
+
+        return {x: container.scrollLeft, y: container.scrollTop};
+}
+
+function setScrollPosition(container, position)
+{
+        if (typeof container.scrollTo === 'function')
+        {
+                container.scrollTo(position.x, position.y);
+        }
+        else
+        {
+                container.scrollLeft = position.x;
+                container.scrollTop = position.y;
+        }
+}
+
+// The key of a history entry in `_scrollPositions`, or null if the entry has not been stamped by us
+function scrollPositionKey(historyState)
+{
+        var routerState = historyState && historyState.statefulControllerRouterUrl;
+
+        if (!routerState || typeof routerState.index !== 'number' || !routerState.session)
+        {
+                return null;
+        }
+
+        return routerState.session + ':' + routerState.index;
+}
+
+// Store the scroll position in the current history entry, before we leave it
+Router.prototype._saveScrollPosition = function()
+{
+        var container = this._scrollContainer(this.currentStateList);
+        if (!container)
+        {
+                return;
+        }
+
+        var historyState = this.history.getState();
+        var newHistoryState;
+
+        if (historyState && historyState.statefulControllerRouterUrl)
+        {
+                newHistoryState = copyHistoryState(historyState);
+        }
+        else
+        {
+                var url = this._locationURL();
+                if (url === null)
+                {
+                        // (outside of the base path, this entry does not belong to us)
+                        return;
+                }
+
+                newHistoryState = this._stampHistoryState(this._urlToHistoryState(url), this.historyIndex);
+        }
+
+        var routerState = newHistoryState.statefulControllerRouterUrl;
+        routerState.scroll = getScrollPosition(container);
+        this.history.replaceState(newHistoryState, routerState.title || '', this.basePath + routerState.url);
+        this._currentHistoryState = newHistoryState;
+        // (the position in memory would otherwise win over this one, see _restoreScrollPosition)
+        delete this._scrollPositions[scrollPositionKey(newHistoryState)];
+};
+
+// Store the scroll position of the current history entry in memory, for entries that we leave without a push (the
+// history entry can not be replaced anymore once the browser has moved to another one)
+Router.prototype._rememberScrollPosition = function()
+{
+        var key = scrollPositionKey(this._currentHistoryState);
+        var container = key && !this.pending && this._scrollContainer(this.currentStateList);
+
+        if (container)
+        {
+                this._scrollPositions[key] = getScrollPosition(container);
+        }
+};
+
+// Scroll to the element referenced by the fragment of the url, or to the top
+Router.prototype._scrollToURL = function(stateList, url)
+{
+        if (this._scrollToFragment(url))
+        {
+                return;
+        }
+
+        var container = this._scrollContainer(stateList);
+        if (container)
+        {
+                setScrollPosition(container, {x: 0, y: 0});
+        }
+};
+
+// Scroll to the element referenced by the fragment of the url and focus it. Returns false if there is no such element
+Router.prototype._scrollToFragment = function(url)
+{
+        var document = this.window.document;
+        var fragment = /#(.+)$/.exec(url);
+        var element = fragment &&
+                      document &&
+                      typeof document.getElementById === 'function' &&
+                      document.getElementById(decodeFragment(fragment[1]));
+
+        if (!element)
+        {
+                return false;
+        }
+
+        element.scrollIntoView();
+
+        if (typeof element.focus === 'function')
+        {
+                if (typeof element.tabIndex !== 'number' || element.tabIndex < 0)
+                {
+                        // (make elements that are not focusable, such as a heading, focusable by script only)
+                        element.setAttribute('tabindex', '-1');
+                }
+
+                element.focus({preventScroll: true});
+        }
+
+        return true;
+};
+
+// Restore the saved scroll position of a history entry, or scroll to its fragment
+Router.prototype._restoreScrollPosition = function(stateList, historyState)
+{
+        var container = this._scrollContainer(stateList);
+        var routerState = historyState.statefulControllerRouterUrl;
+        var key = scrollPositionKey(historyState);
+        var position = (key && this._scrollPositions[key]) || routerState.scroll;
+
+        if (!container)
+        {
+                return;
+        }
+
+        if (position)
+        {
+                setScrollPosition(container, position);
+        }
+        else
+        {
+                this._scrollToFragment(routerState.url);
+        }
+};
+
+// Are we going to a history entry that only differs from the current one by its fragment?
+Router.prototype._isFragmentChange = function(historyState)
+{
+        var routerState = historyState.statefulControllerRouterUrl;
+
+        if (!routerState || routerState.url === null || !this.currentStateList || this.pending)
+        {
+                return false;
+        }
+
+        var currentURL = this._currentURL();
+        return routerState.url !== currentURL && withoutFragment(routerState.url) === withoutFragment(currentURL);
+};
+
+// The controllers stay in the same state, only the fragment of the URL changes
+Router.prototype._changeFragment = function(historyState, replace)
+{
+        var previousURL = this._currentURL();
+        var url = historyState.statefulControllerRouterUrl.url;
+
+        if (replace)
+        {
+                // (store the index in the new entry, so that it is still known when the user comes back to it)
+                this.history.replaceState(historyState, '', this.basePath + url);
+        }
+
+        this._currentHistoryState = historyState;
+        this._restoreScrollPosition(this.currentStateList, historyState);
+        this.emit('fragmentChange', fragmentOf(url), fragmentOf(previousURL));
+};
+
+Router.prototype._stampHistoryState = function(historyState, index)
+{
+        historyState.statefulControllerRouterUrl.index = index;
+        historyState.statefulControllerRouterUrl.session = this.sessionId;
+        return historyState;
+};
+
+Router.prototype._pushHistoryState = function(stateList, push, url, data)
+{
+        url = url || this.urlStateMap.toURL(stateList);
+        var title = this._resolveTitle(stateList);
+        var index = push ? this.historyIndex + 1 : this.historyIndex;
+        var historyState = this._stampHistoryState(this._urlToHistoryState(url, title, data), index);
+
+        if (push)
+        {
+                this.history.pushState(historyState, title || '', this.basePath + url);
+        }
+        else
+        {
+                this.history.replaceState(historyState, title || '', this.basePath + url);
+        }
+
+        this._currentHistoryState = historyState;
+        this.historyIndex = index;
+
+        // (after pushState, otherwise the browser might use the new title for the previous entry)
+        this._applyTitle(title);
+
+        return url;
+};
+
+Router.prototype._handleHistoryState = function(historyState, upgrade, direction, event)
+{
+        if (!historyState ||
+            !historyState.statefulControllerRouterUrl)
+        {
+                return;
+        }
+
+        var url = historyState.statefulControllerRouterUrl.url;
+
+        if (url === null)
+        {
+                // (upgradeInitialState() at a location that does not belong to us)
+                return Promise.reject(
+                        Error('The URL "' + this.history.getURL() + '" is outside of the base path "' + this.basePath + '"')
+                );
+        }
+
+        var requestedAt = this._now();
+        var stateList = null;
+        var fromURLError = null;
+
+        try
+        {
+                stateList = this.urlStateMap.fromURL(withoutFragment(url));
+        }
+        catch (err)
+        {
+                // (the transition fails with this error, see _enterFrontController)
+                fromURLError = err;
+        }
+
+        var fromURLTime = this._now() - requestedAt;
+
+        if (stateList === null && !fromURLError)
+        {
+                if (this.notFoundStateList)
+                {
+                        stateList = this.notFoundStateList;
+                }
+                else
+                {
+                        // (the front controller would leave all of its states)
+                        fromURLError = Error('The URL "' + withoutFragment(url) + '" does not match any state list ' +
+                                             '(see the `notFoundStateList` option)');
+                }
+        }
+
+        var transition = this._createTransition(stateList, {
+                url: url,
+                historyState: historyState,
+                data: historyState.statefulControllerRouterUrl.data,
+                upgrade: upgrade,
+                direction: direction,
+                reason: event,
+                requestedAt: requestedAt,
+                fromURLTime: fromURLTime,
+                fromURLError: fromURLError
+        });
+
+        var promise;
+
+        if (this.pending)
+        {
+                promise = this._addToQueue(transition);
+        }
+        else
+        {
+                promise = this._runTransition(transition);
+        }
+
+        /* istanbul ignore else : internal use */
+        if (event)
+        {
+                this.emit(event, transition.to, url, promise, transition.direction);
+        }
+
+        return promise;
+};
+
+Router.prototype._doQueuedTransition = function()
+{
+        var entry = this._queue.shift();
+
+        if (entry)
+        {
+                this._runTransition(entry.transition).then(entry.resolve, entry.reject);
+        }
+};
+
+Router.prototype._createTransition = function(stateList, options)
+{
+        var AbortController = this.window.AbortController;
+        var transition = {
+                from: null, // set when the transition starts
+                to: stateList,
+                url: options.url || null,
+                fragment: options.fragment || fragmentOf(options.url || ''),
+                reason: options.reason,
+                upgrade: !!options.upgrade,
+                push: !!options.push,
+                direction: options.direction || (options.push ? 'push' : 'replace'),
+                signal: options.signal || null,
+                aborted: false,
+                data: options.data,
+                error: null,
+                timing: createTiming(options.requestedAt === void 123 ? this._now() : options.requestedAt),
+                _historyState: options.historyState || null,
+                _redirects: 0,
+                _abortController: null,
+                _unwatchSignal: null,
+                _entered: false,
+                _errorStateList: null,
+                _settled: false,
+                _resolve: null,
+                _reject: null,
+                _phaseStart: {},
+                _fromURLError: options.fromURLError || null
+        };
+
+        if (options.fromURLTime !== void 123)
+        {
+                transition.timing.fromURL = options.fromURLTime;
+                transition._phaseStart.fromURL = transition.timing.requestedAt;
+        }
+
+        if (stateList instanceof Redirect)
+        {
+                // (returned by urlStateMap.fromURL)
+                transition.to = null;
+
+                try
+                {
+                        this._redirectTransition(transition, stateList.stateList);
+                }
+                catch (err)
+                {
+                        // (too many redirects, the transition fails with this error)
+                        transition._fromURLError = err;
+                }
+        }
+
+        if (typeof AbortController === 'function')
+        {
+                transition._abortController = new AbortController();
+                transition.signal = transition._abortController.signal;
+        }
+
+        if (options.signal)
+        {
+                var onabort = function()
+                {
+                        this._abortTransition(transition);
+                }.bind(this);
+
+                options.signal.addEventListener('abort', onabort);
+                transition._unwatchSignal = function()
+                {
+                        options.signal.removeEventListener('abort', onabort);
+                };
+        }
+
+        return transition;
+};
+
+Router.prototype._releaseTransition = function(transition)
+{
+        if (transition._unwatchSignal)
+        {
+                transition._unwatchSignal();
+                transition._unwatchSignal = null;
+        }
+};
+
+Router.prototype._runTransition = Promise.method(function _runTransition(transition)
+{
+        transition.from = this.currentStateList;
+        this._pendingTransition = transition;
+        transition.timing.startedAt = this._addTiming(
+                transition,
+                'queue',
+                transition.timing.requestedAt + transition.timing.fromURL
+        );
+        this.emit('transitionStart', transition);
+
+        if (transition.push)
+        {
+                this._saveScrollPosition();
+        }
+
+        // (this promise settles early if the transition is aborted)
+        var promise = new Promise(function(resolve, reject)
+        {
+                transition._resolve = resolve;
+                transition._reject = reject;
+        });
+
+        this._pendingTransitionPromise = this._enterFrontController(transition)
+        .bind(this)
+        .finally(function()
+        {
+                this._pendingTransitionPromise = null;
+                this._pendingTransition = null;
+                transition._settled = true;
+                this._releaseTransition(transition);
+        })
+        .then(function()
+        {
+                if (transition.aborted)
+                {
+                        return this._settleAbortedTransition(transition);
+                }
+
+                this._completeTransition(transition);
+        }, function(err)
+        {
+                if (transition.aborted)
+                {
+                        return this._settleAbortedTransition(transition);
+                }
+
+                return this._failTransition(transition, err);
+        })
+        .finally(function()
+        {
+                this._pendingReplace = null;
+                this._doQueuedTransition();
+        })
+        .return(null)
+        .then(transition._resolve, transition._reject);
+
+        return promise;
+});
+
+// Run the guards and the state transition of the front controller, following redirects
+Router.prototype._enterFrontController = function(transition)
+{
+        var fromURLError = transition._fromURLError;
+        transition._fromURLError = null;
+
+        return (fromURLError ? Promise.reject(fromURLError) : this._runGuards(transition))
+        .bind(this)
+        .then(function()
+        {
+                if (transition.aborted)
+                {
+                        return;
+                }
+
+                return this._runMiddleware(transition, 0);
+        })
+        .catch(function(err)
+        {
+                if (transition.aborted)
+                {
+                        throw err;
+                }
+
+                if (err instanceof Redirect)
+                {
+                        this._redirectTransition(transition, err.stateList);
+                        return this._enterFrontController(transition);
+                }
+
+                if (this.errorStateList &&
+                    transition.error === null &&
+                    !(err instanceof errors.TransitionCancelledError))
+                {
+                        return this._enterErrorState(transition, err);
+                }
+
+                throw err;
+        });
+};
+
+// Run the middleware starting at `index`, the last `next()` enters the front controller
+Router.prototype._runMiddleware = function(transition, index)
+{
+        if (index >= this._middleware.length)
         {
-                pushHistory = true;
+                var start = this._now();
+
+                return Promise.resolve(this.frontController.state(transition.to, transition.upgrade, transition))
+                .bind(this)
+                .finally(function()
+                {
+                        this._addTiming(transition, 'state', start);
+                })
+                .then(function(result)
+                {
+                        if (result instanceof Redirect)
+                        {
+                                throw result;
+                        }
+
+                        transition._entered = true;
+                });
         }
 
-        if (this.pending)
+        var nextPromise = null;
+        var next = function()
         {
-                throw Error('A previous state transition is still pending');
-        }
+                if (nextPromise)
+                {
+                        throw Error('next() must not be called more than once');
+                }
+
+                nextPromise = this._runMiddleware(transition, index + 1);
+                return nextPromise;
+        }.bind(this);
+
+        return Promise.try(this._middleware[index], [transition, next], this)
+        .then(function()
+        {
+                if (!nextPromise)
+                {
+                        throw new errors.TransitionCancelledError('The state transition was cancelled by a middleware');
+                }
+
+                // (also if the middleware did not wait for it)
+                return nextPromise;
+        });
+};
+
+// Enter `errorStateList` after a failure, the transition still fails with the original error
+Router.prototype._enterErrorState = function(transition, err)
+{
+        var stateList = this.errorStateList.slice();
+        var last = stateList.length - 1;
+        stateList[last] = new ErrorState(stateName(stateList[last]), err);
+        transition.error = err;
+        var start = this._now();
 
-        this._pendingTransitionPromise = this.frontController.state(stateList)
+        return Promise.resolve(this.frontController.state(stateList, false, transition))
         .bind(this)
         .finally(function()
         {
-                this._pendingTransitionPromise = null;
+                this._addTiming(transition, 'state', start);
         })
         .then(function()
         {
-                this.currentStateList = this._pendingReplace || stateList;
-                var url = this._pushHistoryState(this.currentStateList, pushHistory);
-                this.emit('transitionComplete', stateList, url);
-        }, function(err)
+                transition._errorStateList = stateList;
+        }, function(errorStateErr)
         {
-                this.emit('transitionFailed', stateList, err);
-                return Promise.reject(err);
+                this.emit('transitionFailed', stateList, errorStateErr, transition.timing);
         })
-        .finally(function()
+        .then(function()
         {
-                this._pendingReplace = null;
-                this._doQueuedTransition();
-        }).return(null);
+                throw err;
+        });
+};
 
-        return this._pendingTransitionPromise;
-});
+Router.prototype._assertNotDestroyed = function()
+{
+        if (this.destroyed)
+        {
+                throw Error('The router has been destroyed');
+        }
+};
 
-/**
- * Trigger a state transition to the given stateList using the front controller.
- * If a state transition is currently in progress (see the `pending` attribute), the new state
- * transition will be deferred until the previous one is complete.
- * If there already is a state transition queued, the `stateList` given in this method call will
- * overwrite the previously queued transition. (in other words, the queue has a max size of one).
- *
- * This method is most useful when responding to user input. If a user rapidly clicks on different
- * buttons, only the last one he clicked on should be the state he ends up with. There is no need to
- * go through all the transitions in between.
- *
- * @param {!ControllerStateList} stateList
- * @param {Boolean} [pushHistory=true] If this value is `true`, a new entry will be
- *                  added to the browser history
- * @return {!Promise} Resolves when the state transition of the front controller is done
- * @fires module:stateful-controller-browser-router#transitionComplete
- */
-Router.prototype.queueEnterStates = function(stateList, pushHistory)
+Router.prototype._abortTransition = function(transition, message)
 {
-        if (pushHistory === void 123)
+        var resolve = transition._resolve;
+        var reject = transition._reject;
+        var queued = this._queue.filter(function(entry)
+        {
+                return entry.transition === transition;
+        })[0];
+
+        if (transition.aborted || transition._settled)
         {
-                pushHistory = true;
+                return;
         }
 
-        if (this.pending)
+        transition.aborted = true;
+
+        if (queued)
         {
-                return this._addToQueue(stateList, false, false, pushHistory);
+                resolve = queued.resolve;
+                reject = queued.reject;
+                this._queue.splice(this._queue.indexOf(queued), 1);
+                this._releaseTransition(transition);
+
+                if (transition.reason === 'historyPopState' && !this.destroyed)
+                {
+                        this._restoreURL();
+                }
         }
-        else
+
+        if (transition._abortController)
         {
-                return this.enterStates(stateList, pushHistory);
+                transition._abortController.abort();
         }
-};
 
-/**
- * This method does not perform a state transition, it only sets a new URL for the current state.
- * @param {!ControllerStateList} stateList
- */
-Router.prototype.replaceStateList = function(stateList)
-{
-        if (this.pending)
+        this.emit('transitionAborted', transition);
+
+        if (transition.reason === 'historyPopState')
         {
-                this._pendingReplace = stateList;
+                // (nobody is waiting for this promise)
+                resolve(null);
         }
         else
         {
-                this.currentStateList = stateList;
-                this._pushHistoryState(this.currentStateList, false);
+                reject(new errors.AbortError(message));
         }
 };
 
-/** Is there a state transition currently pending?
- * @member {!boolean} pending
- * @memberOf module:stateful-controller-browser-router
- * @instance
- */
-Object.defineProperty(Router.prototype, 'pending', {
-        get: function()
+// The front controller is done with a transition that has been aborted, its promise has already settled
+Router.prototype._settleAbortedTransition = function(transition)
+{
+        if (this.destroyed)
         {
-                return !!(this._pendingTransitionPromise || this._queue.hasEntry);
+                return;
         }
-});
 
+        if (transition._entered)
+        {
+                // The front controller did not stop early, the controllers are in the new state.
+                this.currentStateList = transition.to;
 
-Router.prototype._saveStateAsInitial = function()
+                if (transition._historyState)
+                {
+                        this._currentHistoryState = transition._historyState;
+                }
+        }
+        else if (transition.reason === 'historyPopState')
+        {
+                this._restoreURL();
+        }
+};
+
+Router.prototype._completeTransition = function(transition)
 {
-        var history = this.window.history;
-        if (history.state && history.state.statefulControllerRouterUrl)
+        var stateList = transition.to;
+        var historyState = transition._historyState;
+        var start = this._now();
+        var previousURL = this._currentURL();
+        var url;
+
+        this.currentStateList = this._pendingReplace ? this._pendingReplace.stateList : stateList;
+
+        if (historyState && !this._pendingReplace)
         {
-                this._initialHistoryState = history.state;
+                // The URL is already in the location bar
+                url = transition.url;
+                this._currentHistoryState = historyState;
+                this._applyTitle(this._resolveHistoryTitle(stateList, historyState));
+
+                if (transition.upgrade)
+                {
+                        this._scrollToFragment(url);
+                }
+                else
+                {
+                        this._restoreScrollPosition(stateList, historyState);
+                }
         }
         else
         {
-                var path = this.window.location.pathname + this.window.location.search;
-                this._initialHistoryState = this._urlToHistoryState(path);
+                url = this._pushHistoryState(
+                        this.currentStateList,
+                        transition.push,
+                        this._pendingReplace ? null : this._fragmentURL(transition),
+                        this._pendingReplace ? this._pendingReplace.data : transition.data
+                );
+
+                if (transition.push)
+                {
+                        this._scrollToURL(this.currentStateList, url);
+                }
+                else
+                {
+                        this._scrollToFragment(url);
+                }
+        }
+
+        transition.url = url;
+        this._addTiming(transition, 'history', start);
+        this._completeTiming(transition);
+        this.emit('transitionComplete', stateList, url, transition.direction, transition.timing);
+
+        if (previousURL !== null && withoutQuery(url) === withoutQuery(previousURL))
+        {
+                this._queryChange(previousURL, url, transition.reason);
         }
+
+        this._pageView(this.currentStateList, url, transition.reason, transition.direction);
 };
 
-Router.prototype._addToQueue = function(stateList, fromHistory, upgrade, push)
+Router.prototype._failTransition = function(transition, err)
 {
-        // only one entry in the queue
-        this._queue.hasEntry = true;
-        this._queue.stateList = stateList;
-        this._queue.fromHistory = fromHistory;
-        this._queue.upgrade = !!upgrade;
-        this._queue.push = !!push;
+        var stateList = transition.to;
 
-        if (!this._queue.promise)
+        if (err instanceof errors.TransitionCancelledError)
         {
-                this._queue.promise = new Promise(function(resolve, reject)
+                if (transition.reason === 'historyPopState')
+                {
+                        // The browser has already changed the location bar
+                        this._restoreURL();
+                }
+
+                this._completeTiming(transition);
+                this.emit('transitionCancelled', transition);
+
+                if (transition.reason === 'historyPopState')
                 {
-                        this._queue.resolve = resolve;
-                        this._queue.reject = reject;
-                }.bind(this));
+                        return;
+                }
+
+                return Promise.reject(err);
         }
 
-        return this._queue.promise;
-};
+        if (transition._errorStateList)
+        {
+                this._completeErrorTransition(transition);
+        }
+        else if (transition.reason === 'historyPopState' && this.restoreURLOnFailure)
+        {
+                this._restoreURL();
+        }
 
-Router.prototype._onpopstate = function(e)
-{
-        // If we end up at the first history entry, e.state will be null
-        var historyState = e.state || this._initialHistoryState;
-        this._handleHistoryState(historyState, false, 'historyPopState');
-};
+        this._completeTiming(transition);
+        this.emit('transitionFailed', stateList, err, transition.timing);
 
-Router.prototype._urlToHistoryState = function(url)
-{
-        return {
-                statefulControllerRouterUrl: {
-                        url: url
+        if (transition.reason === 'historyPopState')
+        {
+                if (this.emit('historyPopStateFailed', stateList, err) || transition._errorStateList)
+                {
+                        // Event was handled (or the error state list has been entered), stop propagating the error
+                        return;
                 }
-        };
+        }
+
+        return Promise.reject(err);
 };
 
-Router.prototype._pushHistoryState = function(stateList, push)
+// The controllers are in `errorStateList`, keep the URL of the failed transition
+Router.prototype._completeErrorTransition = function(transition)
 {
-        var url = this.urlStateMap.toURL(stateList);
-        var historyTitle = ''; // todo: title
-        var historyState = this._urlToHistoryState(url);
+        var stateList = transition._errorStateList;
+        var historyState = transition._historyState;
+        var start = this._now();
 
-        if (push)
+        this.currentStateList = stateList;
+
+        if (historyState)
         {
-                this.window.history.pushState(historyState, historyTitle, url);
+                // The URL is already in the location bar
+                this._currentHistoryState = historyState;
+                this._applyTitle(this._resolveHistoryTitle(stateList, historyState));
         }
         else
         {
-                this.window.history.replaceState(historyState, historyTitle, url);
+                var push = transition.push;
+                var url;
+
+                try
+                {
+                        url = this.urlStateMap.toURL(transition.to);
+                }
+                catch (err)
+                {
+                        // (the state list that failed might not have a URL, stay at the current one)
+                        url = this._currentURL();
+                        push = false;
+                }
+
+                if (url !== null)
+                {
+                        transition.url = this._pushHistoryState(stateList, push, url, transition.data);
+                }
         }
 
-        return url;
+        this._addTiming(transition, 'history', start);
 };
 
-Router.prototype._handleHistoryState = function(historyState, upgrade, event)
+// The URL of the state list we are transitioning to, with the fragment of the transition (if any)
+Router.prototype._fragmentURL = function(transition)
 {
-        if (!historyState ||
-            !historyState.statefulControllerRouterUrl)
+        if (!transition.fragment)
         {
-                return;
+                return null;
         }
 
-        var url = historyState.statefulControllerRouterUrl.url;
-        var stateList = this.urlStateMap.fromURL(url);
+        return withoutFragment(this.urlStateMap.toURL(transition.to)) + transition.fragment;
+};
 
-        var promise;
+Router.prototype._currentURL = function()
+{
+        return this._currentHistoryState ? this._currentHistoryState.statefulControllerRouterUrl.url : this._locationURL();
+};
 
-        if (this.pending)
+// Remove the base path and canonicalise, null if the url does not belong to us
+Router.prototype._routerURL = function(url)
+{
+        url = this.stripBasePath(url);
+        return url !== null && this.canonicalURL ? this.canonicalURL(url) : url;
+};
+
+// The URL in the location bar, relative to the base path
+Router.prototype._locationURL = function()
+{
+        return this._routerURL(this.history.getURL());
+};
+
+// Fire "queryChange", unless the parsed query parameters are the same
+Router.prototype._queryChange = function(previousURL, url, reason)
+{
+        var querySchema = this._querySchemaOf(this.currentStateList);
+        var previousQuery = querySchema.parse(queryString(previousURL));
+        var query = querySchema.parse(queryString(url));
+
+        if (querySchema.stringify(query) !== querySchema.stringify(previousQuery))
         {
-                promise = this._addToQueue(stateList, url, upgrade, false);
+                this.emit('queryChange', query, previousQuery, reason);
         }
-        else
+};
+
+// Fire "pageView", unless this is the same page as the previous page view
+Router.prototype._pageView = function(stateList, url, reason, direction)
+{
+        var previousURL = this._pageViewURL;
+
+        // (analytics need the URL that is in the location bar)
+        url = this.basePath + url;
+
+        if (previousURL !== null)
         {
-                this._pendingTransitionPromise = this.frontController.state(stateList, upgrade)
-                .bind(this)
-                .finally(function()
+                if (withoutFragment(url) === withoutFragment(previousURL))
                 {
-                        this._pendingTransitionPromise = null;
-                })
-                .then(function()
-                {
-                        this.currentStateList = stateList;
-                        this.emit('transitionComplete', stateList, url);
-                }, function(err)
+                        return;
+                }
+
+                if (!this.pageViewOnQueryChange && withoutQuery(url) === withoutQuery(previousURL))
                 {
-                        this.emit('transitionFailed', stateList, err);
+                        return;
+                }
+        }
 
-                        if (event === 'historyPopState')
-                        {
-                                if (this.emit('historyPopStateFailed', stateList, err))
-                                {
-                                        // Event was handled, stop propagating the error
-                                        return;
-                                }
-                        }
+        var document = this.window.document;
+        this._pageViewURL = url;
 
-                        return Promise.reject(err);
-                })
-                .finally(function()
-                {
-                        this._doQueuedTransition();
-                }).return(null);
+        this.emit('pageView', {
+                url: url,
+                referrer: previousURL === null ? (document && document.referrer) || null : previousURL,
+                title: document ? document.title : null,
+                reason: reason,
+                direction: direction,
+                stateList: stateList
+        });
+};
 
-                promise = this._pendingTransitionPromise;
-        }
+Router.prototype._now = function()
+{
+        var performance = this.window.performance;
+        return performance && typeof performance.now === 'function' ? performance.now() : Date.now();
+};
 
-        /* istanbul ignore else : internal use */
-        if (event)
+// Add the time since `start` to a phase of the timing of the transition, returns the current time
+Router.prototype._addTiming = function(transition, phase, start)
+{
+        var now = this._now();
+        transition.timing[phase] += now - start;
+
+        if (!(phase in transition._phaseStart))
         {
-                this.emit(event, stateList, url, promise);
+                transition._phaseStart[phase] = start;
         }
 
-        return promise;
+        return now;
 };
 
-Router.prototype._doQueuedTransition = function()
+Router.prototype._completeTiming = function(transition)
 {
-        if (!this._queue.hasEntry)
+        var timing = transition.timing;
+        timing.completedAt = this._now();
+        timing.total = timing.completedAt - timing.requestedAt;
+
+        var performance = this.window.performance;
+        if (!this.performanceMarks || !performance || typeof performance.measure !== 'function')
         {
                 return;
         }
 
-        var stateList = this._queue.stateList;
-        var fromHistory = this._queue.fromHistory;
-        var upgrade = this._queue.upgrade;
-        var push = this._queue.push;
-        var resolve = this._queue.resolve;
-        var reject = this._queue.reject;
+        var name = transition.url || transition.to.join(', ');
 
-        this._queue = {
-                hasEntry: false,
-                stateList: null,
-                fromHistory: false, // or url
-                push: false,
-                promise: null,
-                resolve: null,
-                reject: null
-        };
+        try
+        {
+                performance.measure(name, {start: timing.requestedAt, end: timing.completedAt, detail: timing});
 
-        this._pendingTransitionPromise = this.frontController.state(stateList, upgrade)
-        .bind(this)
-        .finally(function()
+                TIMING_PHASES.forEach(function(phase)
+                {
+                        if (phase in transition._phaseStart)
+                        {
+                                performance.measure(name + ' ' + phase, {
+                                        start: transition._phaseStart[phase],
+                                        duration: timing[phase]
+                                });
+                        }
+                });
+        }
+        catch (err)
         {
-                this._pendingTransitionPromise = null;
-        })
-        .then(function()
+                // (measure options are not supported by older browsers, timing is not worth failing the transition for)
+        }
+};
+
+// Make the location bar match currentStateList again
+Router.prototype._restoreURL = function()
+{
+        var historyState = this._currentHistoryState;
+
+        if (historyState)
         {
-                var url;
+                // (the entry keeps its own position)
+                historyState = this._stampHistoryState(copyHistoryState(historyState), this.historyIndex);
+
+                var routerState = historyState.statefulControllerRouterUrl;
+                this.history.replaceState(historyState, routerState.title || '', this.basePath + routerState.url);
+                this._currentHistoryState = historyState;
+        }
+};
 
-                this.currentStateList = this._pendingReplace || stateList;
+Router.prototype._runGuards = function(transition)
+{
+        var guards = this._guards.filter(function(entry)
+        {
+                return guardApplies(entry, transition);
+        });
 
-                if (fromHistory === false)
+        var runGuard = function(index)
+        {
+                if (index >= guards.length)
                 {
-                        url = this._pushHistoryState(this.currentStateList, push);
+                        return null;
                 }
-                else
+
+                return Promise.try(guards[index].guard, transition, this)
+                .bind(this)
+                .then(function(result)
                 {
-                        url = fromHistory;
-                }
+                        if (result === false)
+                        {
+                                throw new errors.TransitionCancelledError();
+                        }
 
-                this.emit('transitionComplete', stateList, url);
-        }, function(err)
+                        if (result instanceof Redirect)
+                        {
+                                result = result.stateList;
+                        }
+
+                        if (Array.isArray(result))
+                        {
+                                this._redirectTransition(transition, result);
+                                return this._runGuards(transition);
+                        }
+
+                        return runGuard.call(this, index + 1);
+                });
+        };
+
+        return Promise.bind(this).then(function()
         {
-                this.emit('transitionFailed', stateList, err);
-                return Promise.reject(err);
-        })
-        .finally(function()
+                return runGuard.call(this, 0);
+        });
+};
+
+Router.prototype._redirectTransition = function(transition, stateList)
+{
+        var from = transition.to;
+
+        if (++transition._redirects > this.maxRedirects)
         {
-                this._pendingReplace = null;
-                this._doQueuedTransition();
-        })
-        .return(null)
-        .then(resolve, reject)
-        .return(null);
-};
\ No newline at end of file
+                // (`from` is null for a redirect returned by urlStateMap.fromURL)
+                throw Error('Too many redirects while transitioning to "' + (from || stateList).join(', ') + '"');
+        }
+
+        transition.to = stateList;
+        transition.url = null;
+        // The redirect target has not been rendered by the server
+        transition.upgrade = false;
+
+        if (transition._historyState)
+        {
+                // Replace the URL that is in the location bar
+                transition._historyState = null;
+                transition.push = false;
+        }
+
+        this.emit('redirect', from, stateList, transition);
+};
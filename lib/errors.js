@@ -0,0 +1,56 @@
+'use strict';
+
+/** The errors that the router rejects promises with
+ * @module stateful-controller-browser-router/lib/errors
+ * @author Joris van der Wel <joris@jorisvanderwel.com>
+ */
+
+var inherits = require('inherits');
+
+function defineError(name, defaultMessage)
+{
+        var RouterError = function(message)
+        {
+                Error.call(this);
+                this.name = name;
+                this.message = message || defaultMessage;
+
+                /* istanbul ignore else : depends on the environment */
+                if (Error.captureStackTrace)
+                {
+                        Error.captureStackTrace(this, RouterError);
+                }
+                else
+                {
+                        this.stack = (new Error(this.message)).stack;
+                }
+        };
+
+        inherits(RouterError, Error);
+        return RouterError;
+}
+
+/**
+ * A guard has cancelled the transition
+ * @constructor
+ * @augments Error
+ * @param {string} [message]
+ */
+exports.TransitionCancelledError = defineError('TransitionCancelledError', 'The state transition was cancelled by a guard');
+
+/**
+ * The transition was aborted, by an AbortSignal or by `abortPending()`
+ * @constructor
+ * @augments Error
+ * @param {string} [message]
+ */
+exports.AbortError = defineError('AbortError', 'The state transition was aborted');
+
+/**
+ * A queued transition was dropped without running (see the `queue` option of the router).
+ * The `reason` property is "superseded", "busy" or "queueFull".
+ * @constructor
+ * @augments Error
+ * @param {string} [message]
+ */
+exports.TransitionDroppedError = defineError('TransitionDroppedError', 'The state transition was dropped from the queue');
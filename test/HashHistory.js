@@ -0,0 +1,378 @@
+'use strict';
+/* global describe, beforeEach, it */
+
+var assert = require('assert');
+var Promise = require('bluebird');
+
+var HashHistory = require('../lib/HashHistory');
+var Router = require('../lib/Router');
+var Controller = require('stateful-controller');
+
+
+describe('HashHistory', function()
+{
+        var windowStub;
+        var hashChangeEventHandler;
+        var history;
+
+        function setHash(hash)
+        {
+                var location = windowStub.location;
+                location.hash = hash === '#' ? '' : hash;
+                location.href = location.href.replace(/#.*$/, '') + location.hash;
+        }
+
+        beforeEach(function()
+        {
+                hashChangeEventHandler = null;
+
+                windowStub = {
+                        location: {
+                                href: 'https://example.com/app.html',
+                                pathname: '/app.html',
+                                search: '',
+                                hash: '',
+                                replace: function(href)
+                                {
+                                        this.replaced = href;
+                                        setHash(href.replace(/^[^#]*/, ''));
+                                }
+                        },
+                        addEventListener: function(name, func)
+                        {
+                                assert.strictEqual(name, 'hashchange');
+                                hashChangeEventHandler = func;
+                        }
+                };
+
+                history = new HashHistory(windowStub);
+        });
+
+        it('should test for support', function()
+        {
+                assert(HashHistory.isSupported(windowStub));
+                assert(!HashHistory.isSupported({}));
+        });
+
+        it('should read the URL from the fragment', function()
+        {
+                assert.strictEqual(history.getURL(), '/');
+                setHash('#/foo?bar=1');
+                assert.strictEqual(history.getURL(), '/foo?bar=1');
+                assert.strictEqual(history.getState(), null);
+        });
+
+        it('should set the fragment and remember the state in pushState', function()
+        {
+                var state = {foo: 1};
+                history.pushState(state, '', '/foo');
+                assert.strictEqual(windowStub.location.hash, '/foo');
+                setHash('#/foo'); // (done by the browser)
+                assert.strictEqual(history.getState(), state);
+        });
+
+        it('should replace the location in replaceState', function()
+        {
+                var state = {foo: 1};
+                history.replaceState(state, '', '/foo');
+                assert.strictEqual(windowStub.location.replaced, 'https://example.com/app.html#/foo');
+                assert.strictEqual(history.getURL(), '/foo');
+                assert.strictEqual(history.getState(), state);
+        });
+
+        it('should not modify the location if the URL does not change', function()
+        {
+                setHash('#/foo');
+                windowStub.location.replace = function() { assert(false); };
+
+                var state = {foo: 1};
+                history.pushState({}, '', '/foo');
+                history.replaceState(state, '', '/foo');
+                assert.strictEqual(windowStub.location.hash, '#/foo');
+                assert.strictEqual(history.getState(), state);
+        });
+
+        it('should move through the history entries in go', function()
+        {
+                var deltas = [];
+                windowStub.history = {
+                        go: function(delta)
+                        {
+                                deltas.push(delta);
+                        }
+                };
+
+                history.go(-2);
+                assert.deepEqual(deltas, [-2]);
+        });
+
+        it('should stop listening', function()
+        {
+                windowStub.removeEventListener = function(name, func)
+                {
+                        assert.strictEqual(name, 'hashchange');
+                        assert.strictEqual(func, hashChangeEventHandler);
+                        hashChangeEventHandler = null;
+                };
+
+                var unlisten = history.listen(function() {});
+                assert.strictEqual(typeof hashChangeEventHandler, 'function');
+                unlisten();
+                assert.strictEqual(hashChangeEventHandler, null);
+        });
+
+        it('should ignore hashchange events caused by itself', function()
+        {
+                var calls = [];
+                history.listen(function(state)
+                {
+                        calls.push(state);
+                });
+
+                history.replaceState({foo: 1}, '', '/foo');
+                hashChangeEventHandler();
+                assert.deepEqual(calls, []);
+
+                setHash('#/bar');
+                hashChangeEventHandler();
+                assert.deepEqual(calls, [null]);
+
+                setHash('#/foo');
+                hashChangeEventHandler();
+                assert.deepEqual(calls, [null, {foo: 1}]);
+        });
+
+        it('should ignore the hashchange events of several changes made before the first event', function()
+        {
+                var calls = [];
+                history.listen(function(state)
+                {
+                        calls.push(state);
+                });
+
+                history.pushState({foo: 1}, '', '/foo');
+                history.pushState({bar: 1}, '', '/bar');
+                setHash('#/bar'); // (done by the browser)
+
+                hashChangeEventHandler({oldURL: 'https://example.com/app.html', newURL: 'https://example.com/app.html#/foo'});
+                hashChangeEventHandler({oldURL: 'https://example.com/app.html#/foo', newURL: 'https://example.com/app.html#/bar'});
+                assert.deepEqual(calls, []);
+
+                // the user presses the back button
+                setHash('#/foo');
+                hashChangeEventHandler({oldURL: 'https://example.com/app.html#/bar', newURL: 'https://example.com/app.html#/foo'});
+                assert.deepEqual(calls, [{foo: 1}]);
+        });
+
+        it('should compare URLs with the percent-encoded fragment set by the browser', function()
+        {
+                var calls = [];
+                history.listen(function(state)
+                {
+                        calls.push(state);
+                });
+
+                var state = {q: 1};
+                history.pushState(state, '', '/search?q=a b');
+                setHash('#' + encodeURI('/search?q=a b')); // (done by the browser)
+                hashChangeEventHandler({
+                        oldURL: 'https://example.com/app.html',
+                        newURL: 'https://example.com/app.html#/search?q=a%20b'
+                });
+                assert.deepEqual(calls, []);
+                assert.strictEqual(history.getState(), state);
+
+                // a malformed escape sequence is compared as is
+                history.pushState({bad: 1}, '', '/100%');
+                setHash('#/100%');
+                hashChangeEventHandler({
+                        oldURL: 'https://example.com/app.html#/search?q=a%20b',
+                        newURL: 'https://example.com/app.html#/100%'
+                });
+                assert.deepEqual(calls, []);
+                assert.deepEqual(history.getState(), {bad: 1});
+        });
+
+        it('should move by the delta given to go()', function()
+        {
+                var calls = [];
+                windowStub.history = {go: function() {}};
+
+                history.listen(function(state)
+                {
+                        calls.push(state);
+                });
+
+                history.replaceState({index: 0}, '', '/foo');
+                ['/bar', '/foo', '/bar'].forEach(function(url, index)
+                {
+                        history.pushState({index: index + 1}, '', url);
+                        setHash('#' + url); // (done by the browser)
+                        hashChangeEventHandler();
+                });
+
+                // (the nearest earlier entry would be index 2)
+                history.go(-3);
+                setHash('#/foo');
+                hashChangeEventHandler();
+
+                // the nearest later entry, without go()
+                setHash('#/bar');
+                hashChangeEventHandler();
+
+                // (the nearest earlier entry would be index 0)
+                history.go(1);
+                setHash('#/foo');
+                hashChangeEventHandler();
+
+                // an entry that we do not know about
+                setHash('#/baz');
+                hashChangeEventHandler();
+
+                assert.deepEqual(calls, [{index: 0}, {index: 1}, {index: 2}, null]);
+        });
+
+        describe('used by a Router', function()
+        {
+                var urlStateMap;
+                var front;
+                var router;
+
+                beforeEach(function()
+                {
+                        urlStateMap = {
+                                fromURL: function(path)
+                                {
+                                        switch (path)
+                                        {
+                                                case '/': return ['home'];
+                                                case '/foo': return ['foo'];
+                                        }
+
+                                        throw Error('Should not occur in this test case');
+                                },
+                                toURL: function(states)
+                                {
+                                        switch (states[0])
+                                        {
+                                                case 'home': return '/';
+                                                case 'foo': return '/foo';
+                                        }
+
+                                        throw Error('Should not occur in this test case');
+                                }
+                        };
+
+                        front = new Controller();
+                        front.enterHome = function() {};
+                        front.enterFoo = function() {};
+                        router = new Router(windowStub, urlStateMap, front, {history: 'hash'});
+                });
+
+                it('should be used if the `history` option is "hash"', function()
+                {
+                        assert(router.history instanceof HashHistory);
+                });
+
+                it('should be used if the `history` option is "auto" and the history API is not supported', function()
+                {
+                        router = new Router(windowStub, urlStateMap, front, {history: 'auto'});
+                        assert(router.history instanceof HashHistory);
+                });
+
+                it('should throw if the window does not support hash based history', function()
+                {
+                        assert.throws(function()
+                        {
+                                new Router({location: {}}, urlStateMap, front, {history: 'hash'}); // jshint ignore:line
+                        }, /Argument `window` does not support hash based history/);
+                });
+
+                it('should upgrade, enter states and handle hashchange', function(done)
+                {
+                        var popStates = [];
+
+                        router.attachPopStateListener();
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                popStates.push(url);
+                        });
+
+                        router.upgradeInitialState().bind(this).then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['home']);
+                                return router.enterStates(['foo']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(windowStub.location.hash, '/foo');
+                                setHash('#/foo');
+                                hashChangeEventHandler();
+                                assert.deepEqual(popStates, []);
+
+                                // the user presses the back button
+                                setHash('#');
+                                hashChangeEventHandler();
+                                assert.deepEqual(popStates, ['/']);
+                                return Promise.delay(1);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['home']);
+
+                                router.replaceStateList(['foo']);
+                                assert.strictEqual(windowStub.location.replaced, 'https://example.com/app.html#/foo');
+                        })
+                        .done(done);
+                });
+
+                it('should keep a separate state for entries with the same URL', function(done)
+                {
+                        var directions = [];
+
+                        router.attachPopStateListener();
+                        router.on('transitionComplete', function(stateList, url, direction)
+                        {
+                                directions.push(direction);
+                        });
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['foo']);
+                        })
+                        .then(function()
+                        {
+                                setHash('#/foo'); // (done by the browser)
+                                hashChangeEventHandler();
+                                return router.enterStates(['home']);
+                        })
+                        .then(function()
+                        {
+                                setHash('#/');
+                                hashChangeEventHandler();
+                                assert.strictEqual(router.historyIndex, 2);
+
+                                // the user presses the back button twice
+                                setHash('#/foo');
+                                hashChangeEventHandler();
+                                return Promise.delay(1);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.strictEqual(router.historyIndex, 1);
+
+                                setHash('#');
+                                hashChangeEventHandler();
+                                return Promise.delay(1);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['home']);
+                                assert.strictEqual(router.historyIndex, 0);
+                                assert.deepEqual(directions, ['upgrade', 'push', 'push', 'back', 'back']);
+                        })
+                        .done(done);
+                });
+        });
+});
@@ -0,0 +1,221 @@
+'use strict';
+/* global describe, beforeEach, it */
+
+var assert = require('assert');
+var Promise = require('bluebird');
+
+var MemoryHistory = require('../lib/MemoryHistory');
+var Router = require('../lib/Router');
+var Controller = require('stateful-controller');
+
+
+describe('MemoryHistory', function()
+{
+        var memoryWindow;
+        var events;
+
+        beforeEach(function()
+        {
+                // (events that are still scheduled by the previous test case should not end up in this array)
+                var myEvents = [];
+                events = myEvents;
+                memoryWindow = new MemoryHistory('/foo?a=b#c');
+
+                ['popstate', 'hashchange'].forEach(function(name)
+                {
+                        memoryWindow.addEventListener(name, function(e)
+                        {
+                                myEvents.push(e);
+                        });
+                });
+        });
+
+        it('should expose the initial entry through location and history', function()
+        {
+                assert.strictEqual(memoryWindow.location.pathname, '/foo');
+                assert.strictEqual(memoryWindow.location.search, '?a=b');
+                assert.strictEqual(memoryWindow.location.hash, '#c');
+                assert.strictEqual(memoryWindow.location.href, 'http://localhost/foo?a=b#c');
+                assert.strictEqual(memoryWindow.history.state, null);
+                assert.strictEqual(memoryWindow.history.length, 1);
+                assert(Router.isSupported(memoryWindow));
+
+                assert.strictEqual(new MemoryHistory().url, '/');
+        });
+
+        it('should add and replace entries', function()
+        {
+                memoryWindow.history.pushState({n: 1}, 'one', '/bar');
+                memoryWindow.history.pushState({n: 2}, 'two', '?x=y');
+                assert.strictEqual(memoryWindow.url, '/bar?x=y');
+                assert.strictEqual(memoryWindow.index, 2);
+                assert.deepEqual(memoryWindow.history.state, {n: 2});
+
+                memoryWindow.history.replaceState({n: 3}, 'three', 'baz');
+                assert.strictEqual(memoryWindow.url, '/baz');
+                assert.strictEqual(memoryWindow.history.length, 3);
+                assert.deepEqual(memoryWindow.entries[2], {state: {n: 3}, title: 'three', url: '/baz'});
+
+                memoryWindow.history.replaceState({n: 4});
+                assert.strictEqual(memoryWindow.url, '/baz');
+                assert.strictEqual(events.length, 0, 'pushState and replaceState do not fire events');
+        });
+
+        it('should discard the forward entries when pushing', function()
+        {
+                memoryWindow.history.pushState({n: 1}, '', '/bar');
+                memoryWindow.go(-1);
+                memoryWindow.history.pushState({n: 2}, '', '/baz');
+                assert.deepEqual(memoryWindow.entries.map(function(entry) { return entry.url; }), ['/foo?a=b#c', '/baz']);
+        });
+
+        it('should dispatch popstate asynchronously when moving through the history', function(done)
+        {
+                memoryWindow.history.pushState({n: 1}, '', '/bar');
+                memoryWindow.history.pushState({n: 2}, '', '/baz');
+
+                memoryWindow.history.back();
+                assert.strictEqual(memoryWindow.url, '/bar');
+                assert.strictEqual(events.length, 0);
+
+                Promise.delay(1).then(function()
+                {
+                        assert.strictEqual(events.length, 1);
+                        assert.strictEqual(events[0].type, 'popstate');
+                        assert.deepEqual(events[0].state, {n: 1});
+
+                        memoryWindow.history.go(-1);
+                        memoryWindow.history.forward();
+                        memoryWindow.history.go(5); // ignored
+                        memoryWindow.history.go(0); // ignored
+                        return Promise.delay(1);
+                })
+                .then(function()
+                {
+                        var popStates = events.filter(function(e) { return e.type === 'popstate'; });
+                        assert.deepEqual(popStates.map(function(e) { return e.state && e.state.n; }), [1, null, 1]);
+                        assert.strictEqual(memoryWindow.url, '/bar');
+
+                        // the hash of the first entry differs
+                        assert.deepEqual(events.map(function(e) { return e.type; }), ['popstate', 'popstate', 'hashchange', 'popstate', 'hashchange']);
+                })
+                .done(done);
+        });
+
+        it('should add an entry if location.hash is set', function(done)
+        {
+                memoryWindow.location.hash = 'd';
+                memoryWindow.location.hash = '#d'; // no change
+                assert.strictEqual(memoryWindow.url, '/foo?a=b#d');
+                assert.strictEqual(memoryWindow.history.length, 2);
+
+                Promise.delay(1).then(function()
+                {
+                        assert.deepEqual(events.map(function(e) { return e.type; }), ['popstate', 'hashchange']);
+
+                        memoryWindow.location.replace('http://localhost/foo?a=b#e');
+                        assert.strictEqual(memoryWindow.url, '/foo?a=b#e');
+                        assert.strictEqual(memoryWindow.history.length, 2);
+
+                        memoryWindow.location.replace('/other');
+                        assert.strictEqual(memoryWindow.url, '/other');
+                        return Promise.delay(1);
+                })
+                .then(function()
+                {
+                        // (a different path would load a new page)
+                        assert.strictEqual(events.length, 4);
+                })
+                .done(done);
+        });
+
+        it('should remove event listeners', function()
+        {
+                var listener = function() { assert(false); };
+                memoryWindow.addEventListener('foo', listener);
+                memoryWindow.addEventListener('foo', listener);
+                memoryWindow.removeEventListener('foo', listener);
+                memoryWindow.removeEventListener('foo', listener);
+                memoryWindow.removeEventListener('bar', listener);
+                memoryWindow.dispatchEvent({type: 'foo'});
+        });
+
+        describe('used by a Router', function()
+        {
+                var router;
+                var front;
+                var entered;
+
+                beforeEach(function()
+                {
+                        var urlStateMap = {
+                                fromURL: function(path)
+                                {
+                                        return path.slice(1).split('/');
+                                },
+                                toURL: function(states)
+                                {
+                                        return '/' + states.join('/');
+                                }
+                        };
+
+                        entered = [];
+                        front = new Controller();
+                        ['foo', 'bar', 'baz'].forEach(function(name)
+                        {
+                                front['enter' + name[0].toUpperCase() + name.slice(1)] = function(state, upgrade)
+                                {
+                                        entered.push(upgrade ? 'upgrade ' + state : state);
+                                };
+                        });
+
+                        memoryWindow = new MemoryHistory('/foo');
+                        router = new Router(memoryWindow, urlStateMap, front);
+                        router.attachPopStateListener();
+                });
+
+                function popState()
+                {
+                        return new Promise(function(resolve)
+                        {
+                                router.once('historyPopState', function(stateList, url, promise)
+                                {
+                                        resolve(promise);
+                                });
+                        });
+                }
+
+                it('should run a full navigation flow', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                return router.enterStates(['baz']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/baz');
+                                assert.strictEqual(memoryWindow.history.length, 3);
+
+                                memoryWindow.history.go(-2);
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+
+                                memoryWindow.history.forward();
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                                assert.deepEqual(entered, ['upgrade foo', 'bar', 'baz', 'foo', 'bar']);
+                        })
+                        .done(done);
+                });
+        });
+});
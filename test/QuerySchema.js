@@ -0,0 +1,124 @@
+'use strict';
+/* global describe, beforeEach, it */
+
+var assert = require('assert');
+
+var QuerySchema = require('../lib/QuerySchema');
+var Router = require('../lib/Router');
+
+
+describe('QuerySchema', function()
+{
+        var schema;
+
+        beforeEach(function()
+        {
+                schema = new QuerySchema({
+                        page: {type: 'number', default: 1},
+                        tag: {type: 'string', array: true},
+                        id: {type: 'number', array: true},
+                        open: 'boolean',
+                        sort: {default: 'name'},
+                        q: 'string'
+                });
+        });
+
+        it('should throw for an unknown type', function()
+        {
+                assert.throws(function()
+                {
+                        new QuerySchema({foo: 'date'}); // jshint ignore:line
+                }, /Query parameter "foo" has an unknown type "date"/);
+        });
+
+        it('should be available on the Router', function()
+        {
+                assert.strictEqual(Router.QuerySchema, QuerySchema);
+                assert.strictEqual(new QuerySchema(schema), schema);
+        });
+
+        describe('parse', function()
+        {
+                it('should convert the parameters to their type', function()
+                {
+                        assert.deepEqual(schema.parse('?page=3&tag=b&tag=a&id=5&id=x&open&sort=date&q=a+b%20c'), {
+                                page: 3,
+                                tag: ['b', 'a'],
+                                id: [5],
+                                open: true,
+                                sort: 'date',
+                                q: 'a b c'
+                        });
+
+                        assert.deepEqual(schema.parse('open=false').open, false);
+                        assert.deepEqual(schema.parse('open=1').open, true);
+                        assert.deepEqual(schema.parse('open=0').open, false);
+                });
+
+                it('should use the defaults for missing and invalid parameters', function()
+                {
+                        var params = schema.parse('?page=abc&open=maybe');
+                        assert.deepEqual(params, {page: 1, tag: [], id: [], sort: 'name'});
+                        assert.deepEqual(Object.keys(params).sort(), ['id', 'page', 'sort', 'tag']);
+
+                        assert.deepEqual(schema.parse(''), schema.parse(null));
+                        assert.deepEqual(schema.parse('?page=%20').page, 1);
+                });
+
+                it('should keep parameters that are not defined as strings', function()
+                {
+                        assert.deepEqual(new QuerySchema().parse('/foo?a=1&b=2&b=3&c#frag'), {a: '1', b: ['2', '3'], c: ''});
+                });
+
+                it('should accept a complete URL without a query string', function()
+                {
+                        assert.deepEqual(new QuerySchema().parse('/foo#a=1'), {});
+                        assert.deepEqual(new QuerySchema().parse('https://example.com/foo'), {});
+                        assert.deepEqual(new QuerySchema().parse('https://example.com/foo?a=1'), {a: '1'});
+                        assert.deepEqual(new QuerySchema().parse('a=1'), {a: '1'});
+                });
+
+                it('should use the last value of a parameter that is not an array', function()
+                {
+                        assert.strictEqual(schema.parse('?page=2&page=4').page, 4);
+                });
+
+                it('should keep malformed escape sequences', function()
+                {
+                        assert.strictEqual(schema.parse('?q=100%').q, '100%');
+                });
+        });
+
+        describe('stringify', function()
+        {
+                it('should sort the keys and omit defaults', function()
+                {
+                        assert.strictEqual(schema.stringify({
+                                sort: 'name',
+                                tag: ['b', 'a'],
+                                q: 'a b&c',
+                                page: 2,
+                                open: false,
+                                id: [],
+                                other: null
+                        }), '?open=false&page=2&q=a%20b%26c&tag=b&tag=a');
+
+                        assert.strictEqual(schema.stringify({page: 1, sort: 'name', tag: []}), '');
+                        assert.strictEqual(schema.stringify(), '');
+                });
+
+                it('should round trip with parse', function()
+                {
+                        var params = {page: 7, tag: ['x y', 'z'], open: true, q: '?&=', extra: 'e'};
+                        assert.deepEqual(schema.parse(schema.stringify(params)), {
+                                page: 7,
+                                tag: ['x y', 'z'],
+                                id: [],
+                                open: true,
+                                sort: 'name',
+                                q: '?&=',
+                                extra: 'e'
+                        });
+                });
+        });
+});
@@ -0,0 +1,292 @@
+'use strict';
+/* global describe, beforeEach, it */
+
+var assert = require('assert');
+
+var RouteMap = require('../lib/RouteMap');
+var Router = require('../lib/Router');
+var Controller = require('stateful-controller');
+
+
+describe('RouteMap', function()
+{
+        var map;
+
+        beforeEach(function()
+        {
+                map = new RouteMap([
+                        {path: '/', states: ['home']},
+                        {path: '/users/:id', states: ['users', {name: 'user', params: ['id']}]},
+                        {path: '/users/new', states: ['users', 'newUser']},
+                        {path: '/users/:id/posts/:postId', states: [
+                                'users',
+                                {name: 'user', params: ['id']},
+                                {name: 'post', params: ['postId']}
+                        ]},
+                        {path: '/files/*path', states: [{name: 'file', params: ['path']}]},
+                        {path: '/files', states: ['files']}
+                ]);
+        });
+
+        describe('constructor', function()
+        {
+                it('should throw for an invalid route table', function()
+                {
+                        assert.throws(function()
+                        {
+                                new RouteMap(); // jshint ignore:line
+                        }, /Argument `routes` must be an array/);
+
+                        assert.throws(function()
+                        {
+                                new RouteMap([{path: '/foo'}]); // jshint ignore:line
+                        }, /Route #0 must have a `path` string and a `states` array/);
+                });
+
+                it('should throw if a state uses an unknown parameter', function()
+                {
+                        assert.throws(function()
+                        {
+                                new RouteMap([{path: '/foo/:id', states: [{name: 'foo', params: ['bar']}]}]); // jshint ignore:line
+                        }, /parameter "bar" of state "foo" does not occur in the path/);
+                });
+
+                it('should throw if a "*" segment is not the last one', function()
+                {
+                        assert.throws(function()
+                        {
+                                new RouteMap([{path: '/foo/*/bar', states: ['foo']}]); // jshint ignore:line
+                        }, /a "\*" segment must be the last segment/);
+                });
+
+                it('should be accepted by the Router constructor', function()
+                {
+                        var windowStub = {
+                                history: {
+                                        pushState: function() {},
+                                        replaceState: function() {}
+                                }
+                        };
+
+                        var router = new Router(windowStub, map, new Controller());
+                        assert.strictEqual(router.urlStateMap, map);
+                });
+        });
+
+        describe('fromURL', function()
+        {
+                it('should match static routes', function()
+                {
+                        assert.deepEqual(map.fromURL('/'), ['home']);
+                        assert.deepEqual(map.fromURL('/files'), ['files']);
+                });
+
+                it('should produce states with parameters', function()
+                {
+                        var stateList = map.fromURL('/users/5/posts/12');
+
+                        assert.strictEqual(stateList.length, 3);
+                        assert.strictEqual(stateList[0], 'users');
+                        assert(stateList[1] instanceof RouteMap.RouteState);
+                        assert.strictEqual(stateList[1].stateName, 'user');
+                        assert.deepEqual(stateList[1].params, {id: '5'});
+                        assert.strictEqual(stateList[2].stateName, 'post');
+                        assert.deepEqual(stateList[2].params, {postId: '12'});
+                        assert.strictEqual(Controller.stateMethodName('enter', stateList[1]), 'enterUser');
+                });
+
+                it('should decode parameters', function()
+                {
+                        assert.deepEqual(map.fromURL('/users/a%20b')[1].params, {id: 'a b'});
+                        assert.deepEqual(map.fromURL('/files/a/b%2Fc/d')[0].params, {path: 'a/b/c/d'});
+                });
+
+                it('should ignore the query string and fragment', function()
+                {
+                        assert.deepEqual(map.fromURL('/users/5?foo=bar#baz')[1].params, {id: '5'});
+                });
+
+                it('should prefer the most specific route', function()
+                {
+                        // "/users/new" is defined after "/users/:id"
+                        assert.deepEqual(map.fromURL('/users/new'), ['users', 'newUser']);
+                        assert.strictEqual(map.fromURL('/users/6')[1].stateName, 'user');
+
+                        // "/files" is defined after "/files/*path"
+                        assert.deepEqual(map.fromURL('/files'), ['files']);
+                        assert.deepEqual(map.fromURL('/files/x')[0].params, {path: 'x'});
+                });
+
+                it('should prefer the route defined first if they are equally specific', function()
+                {
+                        map = new RouteMap([
+                                {path: '/:a', states: ['first']},
+                                {path: '/:b', states: ['second']}
+                        ]);
+
+                        assert.deepEqual(map.fromURL('/foo'), ['first']);
+                });
+
+                it('should return null if no route matches', function()
+                {
+                        assert.strictEqual(map.fromURL('/users/5/comments'), null);
+                });
+
+                it('should return the `notFound` state list if no route matches', function()
+                {
+                        map = new RouteMap([], {notFound: ['pageNotFound']});
+                        assert.deepEqual(map.fromURL('/foo'), ['pageNotFound']);
+                });
+        });
+
+        describe('toURL', function()
+        {
+                it('should build URLs of static routes', function()
+                {
+                        assert.strictEqual(map.toURL(['home']), '/');
+                        assert.strictEqual(map.toURL(['users', 'newUser']), '/users/new');
+                });
+
+                it('should fill in the parameters of states', function()
+                {
+                        assert.strictEqual(
+                                map.toURL(['users', RouteMap.state('user', {id: 5}), RouteMap.state('post', {postId: 'a/b'})]),
+                                '/users/5/posts/a%2Fb'
+                        );
+
+                        assert.strictEqual(
+                                map.toURL([{stateName: 'file', params: {path: 'a b/c'}}]),
+                                '/files/a%20b/c'
+                        );
+                });
+
+                it('should round trip with fromURL', function()
+                {
+                        ['/', '/users/new', '/users/5', '/users/5/posts/12', '/files/a/b', '/files'].forEach(function(url)
+                        {
+                                assert.strictEqual(map.toURL(map.fromURL(url)), url);
+                        });
+                });
+
+                it('should throw if no route matches', function()
+                {
+                        assert.throws(function()
+                        {
+                                map.toURL(['users', 'user']);
+                        }, /No route matches the state list "users, user"/);
+                });
+        });
+
+        describe('toTitle', function()
+        {
+                beforeEach(function()
+                {
+                        map = new RouteMap([
+                                {path: '/', states: ['home'], title: 'Home'},
+                                {path: '/users/:id', states: ['users', {name: 'user', params: ['id']}], title: function(params, stateList)
+                                {
+                                        assert.strictEqual(stateList.length, 2);
+                                        return 'User ' + params.id;
+                                }},
+                                {path: '/about', states: ['about']}
+                        ]);
+                });
+
+                it('should return the title of the route', function()
+                {
+                        assert.strictEqual(map.toTitle(['home']), 'Home');
+                        assert.strictEqual(map.toTitle(['users', RouteMap.state('user', {id: 5})]), 'User 5');
+                });
+
+                it('should return null if there is no title', function()
+                {
+                        assert.strictEqual(map.toTitle(['about']), null);
+                        assert.strictEqual(map.toTitle(['unknown']), null);
+                });
+        });
+
+        describe('query', function()
+        {
+                beforeEach(function()
+                {
+                        map = new RouteMap([
+                                {path: '/search', states: ['search'], query: {page: {type: 'number', default: 1}, tag: {array: true}}},
+                                {path: '/users/:id', states: ['users', {name: 'user', params: ['id']}], query: {tab: 'string'}},
+                                {path: '/about', states: ['about']}
+                        ]);
+                });
+
+                it('should parse the query parameters into the last state', function()
+                {
+                        var stateList = map.fromURL('/search?tag=b&page=2&tag=a#top');
+                        assert(stateList[0] instanceof RouteMap.RouteState);
+                        assert.strictEqual(stateList[0].stateName, 'search');
+                        assert.deepEqual(stateList[0].query, {page: 2, tag: ['b', 'a']});
+
+                        stateList = map.fromURL('/users/5');
+                        assert.strictEqual(stateList[0], 'users');
+                        assert.deepEqual(stateList[1].params, {id: '5'});
+                        assert.deepEqual(stateList[1].query, {});
+
+                        assert.deepEqual(map.fromURL('/about?foo=bar'), ['about']);
+                });
+
+                it('should serialise the query parameters of the last state', function()
+                {
+                        assert.strictEqual(
+                                map.toURL([RouteMap.state('search', {}, {tag: ['x'], page: 1})]),
+                                '/search?tag=x'
+                        );
+                        assert.strictEqual(map.toURL(['search']), '/search');
+                        assert.strictEqual(map.toURL(['users', RouteMap.state('user', {id: 5}, {tab: 'posts'})]), '/users/5?tab=posts');
+                        assert.strictEqual(map.toURL(['about']), '/about');
+                });
+
+                it('should produce the same URL for the same state', function()
+                {
+                        ['/search?tag=b&page=2&tag=a', '/search?page=2&tag=b&tag=a'].forEach(function(url)
+                        {
+                                assert.strictEqual(map.toURL(map.fromURL(url)), '/search?page=2&tag=b&tag=a');
+                        });
+
+                        assert.strictEqual(map.toURL(map.fromURL('/search?page=1')), '/search');
+                });
+
+                it('should compare states by their query parameters', function()
+                {
+                        var state = map.fromURL('/search?page=2&tag=a')[0];
+
+                        assert(Controller.statesEqual(state, RouteMap.state('search', {}, {tag: ['a'], page: 2})));
+                        assert(!Controller.statesEqual(state, RouteMap.state('search', {}, {tag: ['a'], page: 3})));
+                        assert(!Controller.statesEqual(state, RouteMap.state('search')));
+                        assert(Controller.statesEqual(RouteMap.state('search'), {stateName: 'search', params: {}}));
+                });
+
+                it('should return the query schema of the route', function()
+                {
+                        var querySchema = map.toQuerySchema(['search']);
+                        assert(querySchema instanceof Router.QuerySchema);
+                        assert.deepEqual(querySchema.parse('?page=2'), {page: 2, tag: []});
+
+                        assert(map.toQuerySchema(['users', RouteMap.state('user', {id: 5})]) instanceof Router.QuerySchema);
+                        assert.strictEqual(map.toQuerySchema(['about']), null);
+                        assert.strictEqual(map.toQuerySchema(['unknown']), null);
+                });
+        });
+
+        describe('RouteState', function()
+        {
+                it('should compare by name and parameters', function()
+                {
+                        var state = RouteMap.state('user', {id: 5});
+
+                        assert(Controller.statesEqual(state, map.fromURL('/users/5')[1]));
+                        assert(!Controller.statesEqual(state, map.fromURL('/users/6')[1]));
+                        assert(!Controller.statesEqual(state, RouteMap.state('post', {id: 5})));
+                        assert(!Controller.statesEqual(state, RouteMap.state('user', {id: 5, foo: 1})));
+                        assert(!Controller.statesEqual(state, RouteMap.state('user', {foo: 5})));
+                        assert(!Controller.statesEqual(state, 'user'));
+                        assert.strictEqual(String(state), 'user');
+                });
+        });
+});
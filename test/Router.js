@@ -7,6 +7,42 @@ var Promise = require('bluebird');
 var Router = require('../lib/Router');
 var Controller = require('stateful-controller');
 
+// (AbortController is not available before node 15)
+function AbortControllerStub()
+{
+        var listeners = [];
+
+        this.signal = {
+                aborted: false,
+                addEventListener: function(name, listener)
+                {
+                        listeners.push(listener);
+                },
+                removeEventListener: function(name, listener)
+                {
+                        var index = listeners.indexOf(listener);
+
+                        if (index >= 0)
+                        {
+                                listeners.splice(index, 1);
+                        }
+                }
+        };
+
+        this.abort = function()
+        {
+                if (this.signal.aborted)
+                {
+                        return;
+                }
+
+                this.signal.aborted = true;
+                listeners.slice().forEach(function(listener)
+                {
+                        listener({type: 'abort'});
+                });
+        };
+}
 
 describe('Router', function()
 {
@@ -14,6 +50,37 @@ describe('Router', function()
         var urlStateMap;
         var front;
         var router;
+        var fromURLs;
+
+        // Create a router on a new MemoryHistory at the given URL, with the popstate listener attached
+        function createMemoryRouter(url, options)
+        {
+                var memoryWindow = new Router.MemoryHistory(url);
+                router = new Router(memoryWindow, urlStateMap, front, options);
+                router.attachPopStateListener();
+                return memoryWindow;
+        }
+
+        // Map "/" to ['home'] and "/foo" to ['foo'] (ignoring the query string), recording the URLs given to fromURL
+        function recordFromURLs()
+        {
+                fromURLs = [];
+
+                urlStateMap.toURL = function(states)
+                {
+                        return states[0] === 'home' ? '/' : '/' + states[0];
+                };
+
+                urlStateMap.fromURL = function(url)
+                {
+                        fromURLs.push(url);
+                        return [url.replace(/^\/|[?#].*$/g, '') || 'home'];
+                };
+
+                front.enterHome = function() {};
+                front.enterFoo = function() {};
+                front.enterBar = function() {};
+        }
 
         beforeEach(function()
         {
@@ -88,6 +155,30 @@ describe('Router', function()
                         }
                 });
 
+                it('should throw for an unknown `history` option', function()
+                {
+                        assert.throws(function()
+                        {
+                                new Router(windowStub, urlStateMap, front, {history: 'foo'});
+                        }, /Option `history` must be "browser", "hash", "auto" or a HistoryBackend/);
+                });
+
+                it('should use the history API by default and if the `history` option is "auto"', function()
+                {
+                        assert(router.history instanceof Router.BrowserHistory);
+
+                        router = new Router(windowStub, urlStateMap, front, {history: 'auto'});
+                        assert(router.history instanceof Router.BrowserHistory);
+                });
+
+                it('should accept a custom history backend', function()
+                {
+                        var history = {};
+                        windowStub.history = null;
+                        router = new Router(windowStub, urlStateMap, front, {history: history});
+                        assert.strictEqual(router.history, history);
+                });
+
                 it('should throw if the controller argument is not a controller', function()
                 {
                         try
@@ -210,7 +301,9 @@ describe('Router', function()
                                 pushedState = true;
                                 assert.deepEqual({
                                         statefulControllerRouterUrl: {
-                                                url: '/foo/bar'
+                                                url: '/foo/bar',
+                                                index: 1,
+                                                session: router.sessionId
                                         }
                                 }, state);
 
@@ -317,7 +410,9 @@ describe('Router', function()
                                 pushedState = true;
                                 assert.deepEqual({
                                         statefulControllerRouterUrl: {
-                                                url: '/foo/bar'
+                                                url: '/foo/bar',
+                                                index: 1,
+                                                session: router.sessionId
                                         }
                                 }, state);
 
@@ -365,7 +460,9 @@ describe('Router', function()
                                 pushedState = true;
                                 assert.deepEqual({
                                         statefulControllerRouterUrl: {
-                                                url: '/foo/bar'
+                                                url: '/foo/bar',
+                                                index: 0,
+                                                session: router.sessionId
                                         }
                                 }, state);
 
@@ -462,7 +559,9 @@ describe('Router', function()
                                 pushedState = true;
                                 assert.deepEqual({
                                         statefulControllerRouterUrl: {
-                                                url: '/foo/bar'
+                                                url: '/foo/bar',
+                                                index: 1,
+                                                session: router.sessionId
                                         }
                                 }, state);
 
@@ -507,7 +606,9 @@ describe('Router', function()
 
                                         assert.deepEqual({
                                                 statefulControllerRouterUrl: {
-                                                        url: '/foo'
+                                                        url: '/foo',
+                                                        index: 1,
+                                                        session: router.sessionId
                                                 }
                                         }, state);
 
@@ -519,7 +620,9 @@ describe('Router', function()
 
                                         assert.deepEqual({
                                                 statefulControllerRouterUrl: {
-                                                        url: '/bar'
+                                                        url: '/bar',
+                                                        index: 2,
+                                                        session: router.sessionId
                                                 }
                                         }, state);
 
@@ -616,7 +719,9 @@ describe('Router', function()
 
                                         assert.deepEqual({
                                                 statefulControllerRouterUrl: {
-                                                        url: '/foo'
+                                                        url: '/foo',
+                                                        index: 1,
+                                                        session: router.sessionId
                                                 }
                                         }, state);
 
@@ -628,7 +733,9 @@ describe('Router', function()
 
                                         assert.deepEqual({
                                                 statefulControllerRouterUrl: {
-                                                        url: '/bar'
+                                                        url: '/bar',
+                                                        index: 2,
+                                                        session: router.sessionId
                                                 }
                                         }, state);
 
@@ -683,12 +790,16 @@ describe('Router', function()
 
                                 router.queueEnterStates(['baz']).then(function(val)
                                 {
-                                        // entering baz has been overwritten by entering bar, however this promise should still resolve
-
-                                        assert(!router.pending);
-                                        assert(enteredFoo);
-                                        assert(enteredBar);
-                                        assert.deepEqual(router.currentStateList, ['bar']);
+                                        assert(false);
+                                }, function(err)
+                                {
+                                        // entering baz has been overwritten by entering bar
+                                        assert(err instanceof Router.TransitionDroppedError);
+                                        assert.strictEqual(err.reason, 'superseded');
+                                        assert.strictEqual(err.message, 'The state transition was dropped from the queue (superseded)');
+                                        assert(router.pending);
+                                        assert(!enteredFoo);
+                                        assert(!enteredBar);
                                 }),
 
                                 router.queueEnterStates(['bar']).then(function(val)
@@ -769,11 +880,11 @@ describe('Router', function()
                                         assert(firedEvent, 1);
                                 }),
 
-                                router.queueEnterStates(['baz']).then(function(val)
+                                router.queueEnterStates(['baz']).catch(function(err)
                                 {
-                                        // entering baz has been overwritten by entering bar, however this promise should still resolve
-
-                                        assert(firedEvent, 2);
+                                        // entering baz has been overwritten by entering bar
+                                        assert(err instanceof Router.TransitionDroppedError);
+                                        assert.strictEqual(firedEvent, 0);
                                 }),
 
                                 router.queueEnterStates(['bar']).then(function(val)
@@ -969,7 +1080,9 @@ describe('Router', function()
 
                                 assert.deepEqual({
                                         statefulControllerRouterUrl: {
-                                                url: '/foo'
+                                                url: '/foo',
+                                                index: 0,
+                                                session: router.sessionId
                                         }
                                 }, state);
 
@@ -992,7 +1105,9 @@ describe('Router', function()
                                 pushedState = true;
                                 assert.deepEqual({
                                         statefulControllerRouterUrl: {
-                                                url: '/bar'
+                                                url: '/bar',
+                                                index: 1,
+                                                session: router.sessionId
                                         }
                                 }, state);
 
@@ -1024,23 +1139,4106 @@ describe('Router', function()
                 });
         });
 
-        describe('controller state method rejection', function()
+        describe('title', function()
         {
+                var pushed;
+
                 beforeEach(function()
                 {
+                        pushed = [];
+                        windowStub.document = {title: 'initial'};
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                assert.strictEqual(windowStub.document.title, 'initial', 'The title should be set after pushState');
+                                pushed.push({state: state, title: title, url: url});
+                        };
+
                         urlStateMap.toURL = function(states)
                         {
-                                if (states.length === 1)
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function() {};
+                        front.enterBar = function() {};
+                });
+
+                it('should use urlStateMap.toTitle and store the title in the history entry', function(done)
+                {
+                        urlStateMap.toTitle = function(states)
+                        {
+                                return 'Title of ' + states.join(' ');
+                        };
+
+                        router.on('transitionComplete', function()
+                        {
+                                assert.strictEqual(windowStub.document.title, 'Title of foo');
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.deepEqual(pushed, [{
+                                        state: {
+                                                statefulControllerRouterUrl: {
+                                                        url: '/foo',
+                                                        title: 'Title of foo',
+                                                        index: 1,
+                                                        session: router.sessionId
+                                                }
+                                        },
+                                        title: 'Title of foo',
+                                        url: '/foo'
+                                }]);
+
+                                assert.strictEqual(windowStub.document.title, 'Title of foo');
+                        }).done(done);
+                });
+
+                it('should prefer the `title` option over urlStateMap.toTitle', function(done)
+                {
+                        urlStateMap.toTitle = function()
+                        {
+                                assert(false);
+                        };
+
+                        router = new Router(windowStub, urlStateMap, front, {
+                                title: function(states)
                                 {
-                                        switch(states[0])
+                                        return states[0] === 'foo' ? 'Foo!' : null;
+                                }
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.strictEqual(pushed[0].title, 'Foo!');
+                                assert.strictEqual(windowStub.document.title, 'Foo!');
+
+                                windowStub.history.pushState = function(state, title, url)
+                                {
+                                        pushed.push({state: state, title: title, url: url});
+                                };
+
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                // no title for bar
+                                assert.deepEqual(pushed[1].state, {statefulControllerRouterUrl: {url: '/bar', index: 2, session: router.sessionId}});
+                                assert.strictEqual(pushed[1].title, '');
+                                assert.strictEqual(windowStub.document.title, 'Foo!');
+                        })
+                        .done(done);
+                });
+
+                it('should set the title after a popstate transition', function(done)
+                {
+                        var popStateEventHandler;
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        router.titleResolver = function(states)
+                        {
+                                return states[0] === 'foo' ? 'Foo!' : null;
+                        };
+
+                        router.attachPopStateListener();
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                promise.then(function()
+                                {
+                                        if (stateList[0] === 'foo')
                                         {
-                                                case 'foo': return '/foo';
-                                                case 'bar': return '/bar';
+                                                assert.strictEqual(windowStub.document.title, 'Foo!');
+
+                                                // The resolver does not know about bar, use the stored title
+                                                popStateEventHandler({state: {
+                                                        statefulControllerRouterUrl: {url: '/bar', title: 'Stored bar'}
+                                                }});
+                                        }
+                                        else
+                                        {
+                                                assert.strictEqual(windowStub.document.title, 'Stored bar');
+                                                done();
                                         }
+                                });
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/foo', title: 'Old foo'}}});
+                });
+
+                it('should set the title after a queued popstate transition', function(done)
+                {
+                        var popStateEventHandler;
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        router.attachPopStateListener();
+                        router.enterStates(['foo']);
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                promise.then(function()
+                                {
+                                        assert.deepEqual(router.currentStateList, ['bar']);
+                                        assert.strictEqual(windowStub.document.title, 'Stored bar');
+                                }).done(done);
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar', title: 'Stored bar'}}});
+                });
+
+                it('should set the title in replaceStateList', function()
+                {
+                        router.titleResolver = function()
+                        {
+                                return 'Replaced';
+                        };
+
+                        windowStub.history.replaceState = function(state, title, url)
+                        {
+                                assert.strictEqual(title, 'Replaced');
+                                assert.strictEqual(state.statefulControllerRouterUrl.title, 'Replaced');
+                        };
+
+                        router.replaceStateList(['foo']);
+                        assert.strictEqual(windowStub.document.title, 'Replaced');
+                });
+        });
+
+        describe('scroll restoration', function()
+        {
+                var memoryWindow;
+                var elements;
+
+                function popState()
+                {
+                        return new Promise(function(resolve)
+                        {
+                                router.once('historyPopState', function(stateList, url, promise)
+                                {
+                                        resolve(promise);
+                                });
+                        });
+                }
+
+                beforeEach(function()
+                {
+                        elements = {};
+                        memoryWindow = new Router.MemoryHistory('/foo');
+                        memoryWindow.history.scrollRestoration = 'auto';
+                        memoryWindow.pageXOffset = 0;
+                        memoryWindow.pageYOffset = 0;
+                        memoryWindow.scrollTo = function(x, y)
+                        {
+                                this.pageXOffset = x;
+                                this.pageYOffset = y;
+                        };
+                        memoryWindow.document.getElementById = function(id)
+                        {
+                                return elements[id] || null;
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).replace(/#.*$/, '').split('/');
+                        };
+
+                        front.enterFoo = function() {};
+                        front.enterBar = function() {};
+                        front.enterBaz = function() {};
+
+                        router = new Router(memoryWindow, urlStateMap, front, {scrollRestoration: true});
+                        router.attachPopStateListener();
+                });
+
+                it('should take over scroll restoration from the browser', function()
+                {
+                        assert.strictEqual(memoryWindow.history.scrollRestoration, 'manual');
+                });
+
+                it('should leave scroll restoration alone if the constructor throws', function()
+                {
+                        memoryWindow = new Router.MemoryHistory('/foo');
+                        memoryWindow.history.scrollRestoration = 'auto';
+
+                        assert.throws(function()
+                        {
+                                new Router(memoryWindow, urlStateMap, {}, {scrollRestoration: true}); // jshint ignore:line
+                        }, /Argument `frontController` is not a stateful-controller/);
+
+                        assert.strictEqual(memoryWindow.history.scrollRestoration, 'auto');
+                });
+
+                it('should not do anything unless enabled', function(done)
+                {
+                        router = new Router(memoryWindow, urlStateMap, front);
+                        memoryWindow.scrollTo(10, 20);
+
+                        router.enterStates(['bar']).then(function()
+                        {
+                                assert.strictEqual(memoryWindow.pageYOffset, 20);
+                                assert.strictEqual(memoryWindow.entries[0].state, null);
+                        }).done(done);
+                });
+
+                it('should save the scroll position, scroll to the top and restore it on popstate', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                memoryWindow.scrollTo(10, 20);
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(memoryWindow.entries[0].state, {
+                                        statefulControllerRouterUrl: {url: '/foo', scroll: {x: 10, y: 20}, index: 0, session: router.sessionId}
+                                });
+                                assert.strictEqual(memoryWindow.pageXOffset, 0);
+                                assert.strictEqual(memoryWindow.pageYOffset, 0);
+
+                                memoryWindow.scrollTo(0, 30);
+                                return router.queueEnterStates(['baz']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(memoryWindow.entries[1].state.statefulControllerRouterUrl.scroll, {x: 0, y: 30});
+                                assert.strictEqual(memoryWindow.pageYOffset, 0);
+
+                                memoryWindow.scrollTo(0, 40);
+                                memoryWindow.history.back();
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                                assert.strictEqual(memoryWindow.pageYOffset, 30);
+
+                                memoryWindow.history.back();
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.strictEqual(memoryWindow.pageXOffset, 10);
+                                assert.strictEqual(memoryWindow.pageYOffset, 20);
+
+                                memoryWindow.scrollTo(5, 5);
+                                memoryWindow.history.go(2);
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                // saved when baz was left by the back button
+                                assert.deepEqual(router.currentStateList, ['baz']);
+                                assert.strictEqual(memoryWindow.pageYOffset, 40);
+
+                                memoryWindow.history.go(-2);
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.strictEqual(memoryWindow.pageXOffset, 5);
+                                assert.strictEqual(memoryWindow.pageYOffset, 5);
+                        })
+                        .done(done);
+                });
+
+                it('should save the scroll position of entries that are left by back and forward', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                memoryWindow.scrollTo(0, 500);
+                                memoryWindow.history.back();
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.strictEqual(memoryWindow.pageYOffset, 0);
+
+                                memoryWindow.scrollTo(0, 30);
+                                memoryWindow.history.forward();
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                                assert.strictEqual(memoryWindow.pageYOffset, 500);
+
+                                memoryWindow.history.back();
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.strictEqual(memoryWindow.pageYOffset, 30);
+                        })
+                        .done(done);
+                });
+
+                it('should give scroll restoration back to the browser when destroyed', function()
+                {
+                        router.destroy();
+                        assert.strictEqual(memoryWindow.history.scrollRestoration, 'auto');
+
+                        router = new Router(memoryWindow, urlStateMap, front);
+                        router.destroy();
+                        assert.strictEqual(memoryWindow.history.scrollRestoration, 'auto');
+                });
+
+                it('should restore the scroll position of queued popstate transitions', function(done)
+                {
+                        memoryWindow.history.pushState({statefulControllerRouterUrl: {url: '/bar', scroll: {x: 1, y: 2}}}, '', '/bar');
+                        memoryWindow.history.pushState(null, '', '/baz');
+
+                        router.enterStates(['foo'], false);
+                        memoryWindow.history.back();
+
+                        popState().then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                                assert.strictEqual(memoryWindow.pageXOffset, 1);
+                                assert.strictEqual(memoryWindow.pageYOffset, 2);
+                        }).done(done);
+                });
+
+                it('should scroll to the element referenced by the fragment', function(done)
+                {
+                        var scrolledIntoView = false;
+                        elements.section = {
+                                scrollIntoView: function()
+                                {
+                                        scrolledIntoView = true;
                                 }
+                        };
 
-                                throw Error('Should not occur in this test case');
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/') + '#section';
                         };
+
+                        memoryWindow.scrollTo(10, 20);
+
+                        router.enterStates(['bar']).then(function()
+                        {
+                                assert(scrolledIntoView);
+                                assert.strictEqual(memoryWindow.pageYOffset, 20);
+                        }).done(done);
+                });
+
+                it('should use the scroll container of the state list, or skip if there is none', function(done)
+                {
+                        var element = {scrollLeft: 3, scrollTop: 4};
+
+                        router.scrollContainerResolver = function(stateList)
+                        {
+                                if (stateList && stateList[0] === 'baz')
+                                {
+                                        return null;
+                                }
+
+                                return element;
+                        };
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(memoryWindow.entries[0].state.statefulControllerRouterUrl.scroll, {x: 3, y: 4});
+                                assert.strictEqual(element.scrollLeft, 0);
+                                assert.strictEqual(element.scrollTop, 0);
+
+                                element.scrollTop = 50;
+                                memoryWindow.scrollTo(0, 60);
+                                return router.enterStates(['baz'], false);
+                        })
+                        .then(function()
+                        {
+                                // replaced instead of pushed, nothing happens
+                                assert.strictEqual(element.scrollTop, 50);
+                                return router.enterStates(['baz']);
+                        })
+                        .then(function()
+                        {
+                                // the scroll container of baz is null
+                                assert.strictEqual(memoryWindow.entries[1].state.statefulControllerRouterUrl.scroll, undefined);
+                                assert.strictEqual(element.scrollTop, 50);
+                                assert.strictEqual(memoryWindow.pageYOffset, 60);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('history data', function()
+        {
+                var memoryWindow;
+                var received;
+
+                function popState()
+                {
+                        return new Promise(function(resolve)
+                        {
+                                router.once('historyPopState', function(stateList, url, promise)
+                                {
+                                        resolve(promise);
+                                });
+                        });
+                }
+
+                beforeEach(function()
+                {
+                        received = [];
+                        memoryWindow = new Router.MemoryHistory('/foo');
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function() {};
+                        front.enterBar = function() {};
+
+                        var state = front.state;
+                        front.state = function(stateList, upgrade, transition)
+                        {
+                                received.push(transition.data);
+                                return state.call(this, stateList, upgrade);
+                        };
+
+                        router = new Router(memoryWindow, urlStateMap, front, {maxDataSize: 20});
+                        router.attachPopStateListener();
+                });
+
+                it('should store the data in the history entry and hand it back on popstate', function(done)
+                {
+                        router.enterStates(['foo'], {data: {expanded: 3}}).then(function()
+                        {
+                                assert.deepEqual(memoryWindow.history.state, {
+                                        statefulControllerRouterUrl: {url: '/foo', data: {expanded: 3}, index: 1, session: router.sessionId}
+                                });
+
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(memoryWindow.history.state, {
+                                        statefulControllerRouterUrl: {url: '/bar', index: 2, session: router.sessionId}
+                                });
+
+                                memoryWindow.history.back();
+                                return popState();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(received, [{expanded: 3}, undefined, {expanded: 3}]);
+                        })
+                        .done(done);
+                });
+
+                it('should hand the data of the initial history entry to upgradeInitialState', function(done)
+                {
+                        memoryWindow.history.replaceState({statefulControllerRouterUrl: {url: '/foo', data: 'draft'}}, '', '/foo');
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(received, ['draft']);
+                        })
+                        .done(done);
+                });
+
+                it('should store the data given to replaceStateList', function(done)
+                {
+                        router.replaceStateList(['foo'], {data: 1});
+                        assert.strictEqual(memoryWindow.history.state.statefulControllerRouterUrl.data, 1);
+
+                        var promise = router.enterStates(['bar'], {data: 2});
+                        router.replaceStateList(['foo'], {data: 3});
+
+                        promise.then(function()
+                        {
+                                assert.deepEqual(memoryWindow.history.state, {
+                                        statefulControllerRouterUrl: {url: '/foo', data: 3, index: 1, session: router.sessionId}
+                                });
+                        })
+                        .done(done);
+                });
+
+                it('should reject data that can not be stored', function(done)
+                {
+                        var cyclic = {};
+                        cyclic.cyclic = cyclic;
+
+                        assert.throws(function()
+                        {
+                                router.replaceStateList(['foo'], {data: 'x'.repeat(30)});
+                        }, /The `data` of a history entry must not be larger than 20 characters \(it is 32 characters\)/);
+
+                        router.enterStates(['foo'], {data: cyclic}).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(/The `data` of a history entry must be serialisable/.test(err.message));
+                                return router.queueEnterStates(['foo'], {data: 'x'.repeat(30)});
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(/must not be larger than 20 characters/.test(err.message));
+                                assert.deepEqual(received, []);
+                                assert.strictEqual(memoryWindow.history.length, 1);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('history stack', function()
+        {
+                var memoryWindow;
+
+                beforeEach(function()
+                {
+                        memoryWindow = new Router.MemoryHistory('/foo');
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function() {};
+                        front.enterBar = function() {};
+                        front.enterBaz = function() {};
+
+                        router = new Router(memoryWindow, urlStateMap, front);
+                        router.attachPopStateListener();
+                });
+
+                it('should stamp the entries it creates with an index and session', function(done)
+                {
+                        var other = new Router(memoryWindow, urlStateMap, front);
+                        assert.notStrictEqual(router.sessionId, other.sessionId);
+                        assert.strictEqual(router.historyIndex, 0);
+                        assert.strictEqual(router.canGoBack(), false);
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(router.historyIndex, 1);
+                                assert.strictEqual(router.canGoBack(), true);
+                                assert.deepEqual(memoryWindow.history.state, {
+                                        statefulControllerRouterUrl: {url: '/bar', index: 1, session: router.sessionId}
+                                });
+
+                                router.replaceStateList(['baz']);
+                                assert.strictEqual(router.historyIndex, 1);
+                                assert.strictEqual(memoryWindow.history.state.statefulControllerRouterUrl.index, 1);
+                        })
+                        .done(done);
+                });
+
+                it('should resolve back(), forward() and go() after the popstate transition', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                return router.enterStates(['baz']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(router.historyIndex, 2);
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                                assert.strictEqual(router.historyIndex, 1);
+                                return router.go(-1);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.strictEqual(router.historyIndex, 0);
+                                assert.strictEqual(router.canGoBack(), false);
+                                return router.forward();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                                return router.go(1);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['baz']);
+                                assert.strictEqual(router.historyIndex, 2);
+                        })
+                        .done(done);
+                });
+
+                it('should continue counting from the index of the initial entry', function(done)
+                {
+                        memoryWindow.history.replaceState({statefulControllerRouterUrl: {url: '/foo', index: 4, session: 'x'}}, '', '/foo');
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.strictEqual(router.historyIndex, 4);
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(router.historyIndex, 5);
+                                assert.strictEqual(memoryWindow.history.state.statefulControllerRouterUrl.index, 5);
+                        })
+                        .done(done);
+                });
+
+                it('should reject an invalid delta or going back past the entries of this application', function(done)
+                {
+                        router.go(0).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(/Argument `delta` must be a number other than 0/.test(err.message));
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message,
+                                        'Can not go back 1 entries, only 0 entries have been created by this application');
+                                assert.strictEqual(memoryWindow.index, 0);
+                        })
+                        .done(done);
+                });
+
+                it('should reject go() if the popstate listener is not attached', function(done)
+                {
+                        router.detachPopStateListener();
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'The popstate listener must be attached, see attachPopStateListener()');
+                                assert.strictEqual(memoryWindow.index, 1);
+                        })
+                        .done(done);
+                });
+
+                it('should reject go() if the popstate listener is detached or the router is destroyed', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                // (there is no next entry, the browser ignores this)
+                                var promise = router.forward();
+                                router.detachPopStateListener();
+                                return promise;
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'The popstate listener has been detached');
+
+                                router.attachPopStateListener();
+                                var promise = router.forward();
+                                router.destroy();
+                                return promise;
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.AbortError);
+                                assert.strictEqual(err.message, 'The router has been destroyed');
+                        })
+                        .done(done);
+                });
+
+                it('should resolve go() if the entry does not belong to this application', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                // (e.g. replaced by a different script)
+                                memoryWindow.entries[0].state = {foreign: true};
+                                return router.back();
+                        })
+                        .then(function(result)
+                        {
+                                assert.strictEqual(result, undefined);
+                                assert.strictEqual(memoryWindow.url, '/foo');
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('direction', function()
+        {
+                var memoryWindow;
+                var events;
+
+                beforeEach(function()
+                {
+                        events = [];
+                        memoryWindow = new Router.MemoryHistory('/foo');
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function() {};
+                        front.enterBar = function() {};
+                        front.enterBaz = function() {};
+
+                        var state = front.state;
+                        front.state = function(stateList, upgrade, transition)
+                        {
+                                events.push('state ' + transition.direction);
+                                return state.call(this, stateList, upgrade);
+                        };
+
+                        router = new Router(memoryWindow, urlStateMap, front);
+                        router.attachPopStateListener();
+
+                        router.on('transitionStart', function(transition)
+                        {
+                                assert.deepEqual(transition.from, router.currentStateList);
+                                events.push('start ' + transition.direction);
+                        });
+
+                        router.on('transitionComplete', function(stateList, url, direction)
+                        {
+                                events.push('complete ' + direction);
+                        });
+
+                        ['upgradeInitialState', 'historyPopState'].forEach(function(event)
+                        {
+                                router.on(event, function(stateList, url, promise, direction)
+                                {
+                                        events.push(event + ' ' + direction);
+                                });
+                        });
+                });
+
+                it('should describe transitions by enterStates and upgradeInitialState', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                return router.queueEnterStates(['baz'], false);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(events, [
+                                        'start upgrade', 'upgradeInitialState upgrade', 'state upgrade', 'complete upgrade',
+                                        'start push', 'state push', 'complete push',
+                                        'start replace', 'state replace', 'complete replace'
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should detect the direction of popstate transitions', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                return router.enterStates(['baz']);
+                        })
+                        .then(function()
+                        {
+                                events = [];
+                                return router.go(-2);
+                        })
+                        .then(function()
+                        {
+                                return router.forward();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(events, [
+                                        'start back', 'historyPopState back', 'state back', 'complete back',
+                                        'start forward', 'historyPopState forward', 'state forward', 'complete forward'
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should not know the direction of entries at the same position', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                events = [];
+
+                                // (an entry that was not created by the router, it counts as the first entry)
+                                memoryWindow.history.pushState(null, '', '/bar');
+                                memoryWindow.history.back();
+                                return new Promise(function(resolve)
+                                {
+                                        router.once('transitionComplete', resolve);
+                                });
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(events, [
+                                        'start jump', 'historyPopState jump', 'state jump', 'complete jump'
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should give an entry added by a link to a fragment the next index', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                events = [];
+                                memoryWindow.location.hash = '#section';
+                                return new Promise(function(resolve)
+                                {
+                                        router.once('fragmentChange', resolve);
+                                });
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/bar#section');
+                                assert.strictEqual(router.historyIndex, 2);
+                                assert.strictEqual(memoryWindow.history.state.statefulControllerRouterUrl.index, 2);
+                                assert.strictEqual(router.canGoBack(), true);
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/bar');
+                                assert.strictEqual(router.historyIndex, 1);
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/foo');
+                                assert.strictEqual(router.historyIndex, 0);
+                                return router.go(2);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/bar#section');
+                                assert.strictEqual(router.historyIndex, 2);
+                                assert.deepEqual(events, [
+                                        'start back', 'historyPopState back', 'state back', 'complete back',
+                                        'start forward', 'historyPopState forward', 'state forward', 'complete forward'
+                                ]);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('timing', function()
+        {
+                var memoryWindow;
+                var clock;
+                var measures;
+
+                beforeEach(function()
+                {
+                        clock = 0;
+                        measures = [];
+                        memoryWindow = new Router.MemoryHistory('/foo');
+                        memoryWindow.performance = {
+                                now: function()
+                                {
+                                        return clock;
+                                },
+                                measure: function(name, options)
+                                {
+                                        var end = 'end' in options ? options.end : options.start + options.duration;
+                                        measures.push([name, options.start, end]);
+                                }
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                clock += 1;
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                clock += 2;
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function()
+                        {
+                                clock += 5;
+                        };
+
+                        front.enterBar = function()
+                        {
+                                clock += 5;
+                        };
+
+                        router = new Router(memoryWindow, urlStateMap, front, {performanceMarks: true});
+                });
+
+                it('should measure each phase of a transition', function(done)
+                {
+                        var timings = [];
+
+                        router.on('transitionComplete', function(stateList, url, direction, timing)
+                        {
+                                timings.push(timing);
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.deepEqual(timings, [{
+                                        requestedAt: 0,
+                                        startedAt: 0,
+                                        completedAt: 6,
+                                        fromURL: 0,
+                                        queue: 0,
+                                        state: 5,
+                                        history: 1,
+                                        total: 6
+                                }]);
+
+                                assert.deepEqual(measures, [
+                                        ['/foo', 0, 6],
+                                        ['/foo queue', 0, 0],
+                                        ['/foo state', 0, 5],
+                                        ['/foo history', 5, 6]
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should measure fromURL and the time spent in the queue', function(done)
+                {
+                        router.upgradeInitialState().done();
+
+                        router.queueEnterStates(['bar']).then(function()
+                        {
+                                assert.deepEqual(measures, [
+                                        ['/foo', 0, 7],
+                                        ['/foo fromURL', 0, 2],
+                                        ['/foo queue', 2, 2],
+                                        ['/foo state', 2, 7],
+                                        ['/foo history', 7, 7],
+                                        ['/bar', 2, 13],
+                                        ['/bar queue', 2, 7],
+                                        ['/bar state', 7, 12],
+                                        ['/bar history', 12, 13]
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should pass the timing to transitionFailed', function(done)
+                {
+                        var error = Error('quux');
+                        front.enterFoo = function()
+                        {
+                                clock += 5;
+                                throw error;
+                        };
+
+                        router.on('transitionFailed', function(stateList, err, timing)
+                        {
+                                assert.strictEqual(err, error);
+                                assert.strictEqual(timing.state, 5);
+                                assert.strictEqual(timing.total, 5);
+                        });
+
+                        router.enterStates(['foo']).catch(function(err)
+                        {
+                                assert.strictEqual(err, error);
+                                assert.deepEqual(measures, [
+                                        ['foo', 0, 5],
+                                        ['foo queue', 0, 0],
+                                        ['foo state', 0, 5]
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should not write to window.performance unless the option is set', function(done)
+                {
+                        router.performanceMarks = false;
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.deepEqual(measures, []);
+                        })
+                        .done(done);
+                });
+
+                it('should ignore a window.performance that does not support measure options', function(done)
+                {
+                        memoryWindow.performance.measure = function()
+                        {
+                                throw Error('The mark "[object Object]" does not exist');
+                        };
+
+                        router.enterStates(['foo']).done(function()
+                        {
+                                done();
+                        });
+                });
+        });
+
+        describe('page views', function()
+        {
+                var memoryWindow;
+                var pageViews;
+                var urls = {
+                        foo: '/foo',
+                        bar: '/bar',
+                        fooA: '/foo?q=a',
+                        fooB: '/foo?q=b',
+                        fooHash: '/foo#x'
+                };
+
+                function createRouter(options)
+                {
+                        router = new Router(memoryWindow, urlStateMap, front, options);
+                        router.attachPopStateListener();
+                        router.on('pageView', function(pageView)
+                        {
+                                pageViews.push(pageView);
+                        });
+                }
+
+                beforeEach(function()
+                {
+                        pageViews = [];
+                        memoryWindow = new Router.MemoryHistory('/foo');
+                        memoryWindow.document.referrer = 'https://search.example/';
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return urls[states[0]];
+                        };
+
+                        urlStateMap.fromURL = function(url)
+                        {
+                                return [Object.keys(urls).filter(function(name)
+                                {
+                                        return urls[name] === url;
+                                })[0]];
+                        };
+
+                        urlStateMap.toTitle = function(states)
+                        {
+                                return 'Title of ' + states[0];
+                        };
+
+                        Object.keys(urls).forEach(function(name)
+                        {
+                                front['enter' + name[0].toUpperCase() + name.slice(1)] = function() {};
+                        });
+
+                        createRouter();
+                });
+
+                it('should fire once for each navigation', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                // (same URL)
+                                return router.enterStates(['bar'], false);
+                        })
+                        .then(function()
+                        {
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(pageViews, [
+                                        {
+                                                url: '/foo',
+                                                referrer: 'https://search.example/',
+                                                title: 'Title of foo',
+                                                reason: 'upgradeInitialState',
+                                                direction: 'upgrade',
+                                                stateList: ['foo']
+                                        },
+                                        {
+                                                url: '/bar',
+                                                referrer: '/foo',
+                                                title: 'Title of bar',
+                                                reason: 'enterStates',
+                                                direction: 'push',
+                                                stateList: ['bar']
+                                        },
+                                        {
+                                                url: '/foo',
+                                                referrer: '/bar',
+                                                title: 'Title of foo',
+                                                reason: 'historyPopState',
+                                                direction: 'back',
+                                                stateList: ['foo']
+                                        }
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should ignore a different fragment and failed transitions', function(done)
+                {
+                        front.enterBar = function()
+                        {
+                                throw Error('quux');
+                        };
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['fooHash']);
+                        })
+                        .then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .catch(function(err)
+                        {
+                                assert.strictEqual(err.message, 'quux');
+                                assert.deepEqual(pageViews.map(function(pageView) { return pageView.url; }), ['/foo']);
+                        })
+                        .done(done);
+                });
+
+                it('should count query string changes, unless disabled', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['fooA']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(pageViews.map(function(pageView) { return pageView.url; }), ['/foo', '/foo?q=a']);
+
+                                pageViews = [];
+                                createRouter({pageViewOnQueryChange: false});
+                                return router.enterStates(['fooB']);
+                        })
+                        .then(function()
+                        {
+                                return router.enterStates(['fooA']);
+                        })
+                        .then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(pageViews.map(function(pageView) { return pageView.url; }), ['/foo?q=b', '/bar']);
+                        })
+                        .done(done);
+                });
+
+                it('should count replaceStateList only if enabled', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                router.replaceStateList(['bar']);
+                                assert.strictEqual(pageViews.length, 1);
+
+                                pageViews = [];
+                                createRouter({pageViewOnReplace: true});
+                                return router.upgradeInitialState();
+                        })
+                        .then(function()
+                        {
+                                router.replaceStateList(['foo']);
+                                router.replaceStateList(['foo']);
+
+                                assert.deepEqual(pageViews[1], {
+                                        url: '/foo',
+                                        referrer: '/bar',
+                                        title: 'Title of foo',
+                                        reason: 'replaceStateList',
+                                        direction: null,
+                                        stateList: ['foo']
+                                });
+                                assert.strictEqual(pageViews.length, 2);
+                        })
+                        .done(done);
+                });
+
+                it('should report the URL including the base path', function(done)
+                {
+                        memoryWindow = new Router.MemoryHistory('/app/foo');
+                        createRouter({basePath: '/app'});
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['fooA']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(pageViews.map(function(pageView)
+                                {
+                                        return [pageView.url, pageView.referrer];
+                                }), [
+                                        ['/app/foo', null],
+                                        ['/app/foo?q=a', '/app/foo']
+                                ]);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('query', function()
+        {
+                var memoryWindow;
+                var queryChanges;
+                var pageViews;
+                var enters;
+
+                beforeEach(function()
+                {
+                        queryChanges = [];
+                        pageViews = [];
+                        enters = 0;
+                        memoryWindow = new Router.MemoryHistory('/search?q=a');
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states[0];
+                        };
+
+                        urlStateMap.fromURL = function(url)
+                        {
+                                return [url.replace(/^\/|[?#].*$/g, '')];
+                        };
+
+                        front.enterSearch = function()
+                        {
+                                ++enters;
+                        };
+                        front.enterAbout = function() {};
+
+                        router = new Router(memoryWindow, urlStateMap, front, {
+                                query: {page: {type: 'number', default: 1}, q: 'string'}
+                        });
+                        router.attachPopStateListener();
+                        router.on('queryChange', function(query, previousQuery, reason)
+                        {
+                                queryChanges.push([query, previousQuery, reason]);
+                        });
+                        router.on('pageView', function(pageView)
+                        {
+                                pageViews.push(pageView.reason);
+                        });
+                });
+
+                it('should merge parameters into the current URL without a state transition', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(router.query, {page: 1, q: 'a'});
+
+                                router.updateQuery({page: 2});
+                                assert.strictEqual(router.history.getURL(), '/search?page=2&q=a');
+                                assert.strictEqual(memoryWindow.history.length, 1);
+                                assert.deepEqual(router.query, {page: 2, q: 'a'});
+
+                                router.updateQuery({q: null}, {push: true});
+                                assert.strictEqual(router.history.getURL(), '/search?page=2');
+                                assert.strictEqual(memoryWindow.history.length, 2);
+                                assert.strictEqual(router.historyIndex, 1);
+
+                                // (nothing changes)
+                                router.updateQuery({page: 2});
+                                router.updateQuery();
+
+                                assert.strictEqual(enters, 1);
+                                assert.deepEqual(router.currentStateList, ['search']);
+                                assert.deepEqual(queryChanges, [
+                                        [{page: 2, q: 'a'}, {page: 1, q: 'a'}, 'updateQuery'],
+                                        [{page: 2}, {page: 2, q: 'a'}, 'updateQuery']
+                                ]);
+                                assert.deepEqual(pageViews, ['upgradeInitialState', 'updateQuery']);
+                        })
+                        .done(done);
+                });
+
+                it('should fire queryChange for transitions that only change the query string', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                router.updateQuery({q: 'b'}, {push: true});
+                                queryChanges = [];
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(router.history.getURL(), '/search?q=a');
+                                assert.deepEqual(queryChanges, [[{page: 1, q: 'a'}, {page: 1, q: 'b'}, 'historyPopState']]);
+
+                                return router.enterStates(['about']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(queryChanges.length, 1);
+                        })
+                        .done(done);
+                });
+
+                it('should use the query schema of the route', function(done)
+                {
+                        var RouteMap = Router.RouteMap;
+                        var map = new RouteMap([
+                                {path: '/search', states: ['search'], query: {page: {type: 'number', default: 1}}},
+                                {path: '/about', states: ['about']}
+                        ]);
+
+                        memoryWindow = new Router.MemoryHistory('/search?page=3');
+                        router = new Router(memoryWindow, map, front);
+                        router.on('queryChange', function(query, previousQuery, reason)
+                        {
+                                queryChanges.push([query, previousQuery, reason]);
+                        });
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(router.query, {page: 3});
+
+                                router.updateQuery({page: 2});
+                                assert.strictEqual(router.history.getURL(), '/search?page=2');
+                                assert.deepEqual(router.query, {page: 2});
+                                assert.deepEqual(router.currentStateList[0].query, {page: 2});
+
+                                router.updateQuery({page: 1});
+                                assert.strictEqual(router.history.getURL(), '/search');
+                                assert.strictEqual(router.history.getURL(), map.toURL(router.currentStateList));
+                                assert.deepEqual(router.currentStateList[0].query, {page: 1});
+
+                                assert.strictEqual(enters, 1);
+                                assert.deepEqual(queryChanges, [
+                                        [{page: 2}, {page: 3}, 'updateQuery'],
+                                        [{page: 1}, {page: 2}, 'updateQuery']
+                                ]);
+
+                                return router.enterStates(['about']);
+                        })
+                        .then(function()
+                        {
+                                // (a route without a query, the `query` option applies)
+                                router.updateQuery({page: 1});
+                                assert.strictEqual(router.history.getURL(), '/about?page=1');
+                                assert.deepEqual(router.query, {page: '1'});
+                                assert.deepEqual(router.currentStateList, ['about']);
+                        })
+                        .done(done);
+                });
+
+                it('should throw if there is no current state or a transition is pending', function(done)
+                {
+                        assert.throws(function()
+                        {
+                                router.updateQuery({page: 2});
+                        }, /The query can not be updated before the first state transition/);
+
+                        var promise = router.upgradeInitialState();
+
+                        assert.throws(function()
+                        {
+                                router.updateQuery({page: 2});
+                        }, /The query can not be updated while a state transition is pending/);
+
+                        promise.done(function()
+                        {
+                                done();
+                        });
+                });
+        });
+
+        describe('base path', function()
+        {
+                var memoryWindow;
+
+                beforeEach(function()
+                {
+                        recordFromURLs();
+                        memoryWindow = createMemoryRouter('/app/foo?x=1', {basePath: '/app/'});
+                });
+
+                it('should strip the base path', function()
+                {
+                        assert.strictEqual(router.basePath, '/app');
+                        assert.strictEqual(router.stripBasePath('/app'), '/');
+                        assert.strictEqual(router.stripBasePath('/app/'), '/');
+                        assert.strictEqual(router.stripBasePath('/app?x=1'), '/?x=1');
+                        assert.strictEqual(router.stripBasePath('/app/foo#bar'), '/foo#bar');
+                        assert.strictEqual(router.stripBasePath('/application'), null);
+                        assert.strictEqual(router.stripBasePath('/foo'), null);
+
+                        createMemoryRouter('/', {basePath: 'tenant-x/portal'});
+                        assert.strictEqual(router.basePath, '/tenant-x/portal');
+
+                        createMemoryRouter('/', {basePath: '/'});
+                        assert.strictEqual(router.basePath, '');
+                        assert.strictEqual(router.stripBasePath('/foo'), '/foo');
+                });
+
+                it('should remove the base path before fromURL and add it after toURL', function(done)
+                {
+                        var completed = [];
+                        router.on('transitionComplete', function(stateList, url)
+                        {
+                                completed.push(url);
+                        });
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/app/bar');
+                                return router.enterStates(['home']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/app/');
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/app/bar');
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                                assert.deepEqual(fromURLs, ['/foo?x=1', '/bar']);
+                                assert.deepEqual(completed, ['/foo?x=1', '/bar', '/', '/bar']);
+                        })
+                        .done(done);
+                });
+
+                it('should not handle URLs outside of the base path', function(done)
+                {
+                        memoryWindow = createMemoryRouter('/other', {basePath: '/app/', scrollRestoration: true});
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'The URL "/other" is outside of the base path "/app"');
+                                assert.strictEqual(router.currentStateList, null);
+                                return router.enterStates(['foo']);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/app/foo');
+                                // (the entry outside of the base path has not been touched)
+                                assert.strictEqual(memoryWindow.entries[0].state, null);
+
+                                memoryWindow.history.back();
+                                return Promise.delay(1);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/other');
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.deepEqual(fromURLs, []);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('canonical URLs', function()
+        {
+                var memoryWindow;
+
+                beforeEach(function()
+                {
+                        recordFromURLs();
+                });
+
+                it('should canonicalise the path', function()
+                {
+                        memoryWindow = createMemoryRouter('/foo');
+                        assert.strictEqual(router.canonicalURL, null);
+
+                        memoryWindow = createMemoryRouter('/foo', {canonicalURL: true});
+                        assert.strictEqual(router.canonicalURL('//foo//bar/?q=A//B#X/'), '/foo/bar?q=A//B#X/');
+                        assert.strictEqual(router.canonicalURL('///'), '/');
+                        assert.strictEqual(router.canonicalURL('/Foo'), '/Foo');
+
+                        memoryWindow = createMemoryRouter('/foo', {canonicalURL: {trailingSlash: 'add', lowercase: true, mergeSlashes: false}});
+                        assert.strictEqual(router.canonicalURL('//Foo?Q'), '//foo/?Q');
+                        assert.strictEqual(router.canonicalURL('/foo/'), '/foo/');
+
+                        memoryWindow = createMemoryRouter('/foo', {canonicalURL: {trailingSlash: 'keep'}});
+                        assert.strictEqual(router.canonicalURL('/foo//'), '/foo/');
+
+                        var canonicalURL = function(url) { return url; };
+                        memoryWindow = createMemoryRouter('/foo', {canonicalURL: canonicalURL});
+                        assert.strictEqual(router.canonicalURL, canonicalURL);
+
+                        assert.throws(function()
+                        {
+                                memoryWindow = createMemoryRouter('/foo', {canonicalURL: {trailingSlash: 'sometimes'}});
+                        }, /Option `canonicalURL.trailingSlash` must be "remove", "add" or "keep"/);
+                });
+
+                it('should replace a URL that is not canonical in upgradeInitialState', function(done)
+                {
+                        memoryWindow = createMemoryRouter('/app//Foo/?x=1', {basePath: '/app', canonicalURL: {lowercase: true}});
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(fromURLs, ['/foo?x=1']);
+                                assert.strictEqual(memoryWindow.url, '/app/foo?x=1');
+                                assert.strictEqual(memoryWindow.history.length, 1);
+
+                                memoryWindow = createMemoryRouter('/foo', {canonicalURL: true});
+                                return router.upgradeInitialState();
+                        })
+                        .then(function()
+                        {
+                                // (already canonical)
+                                assert.strictEqual(memoryWindow.entries[0].state, null);
+                        })
+                        .done(done);
+                });
+
+                it('should canonicalise the location on popstate', function(done)
+                {
+                        memoryWindow = createMemoryRouter('/foo', {canonicalURL: {lowercase: true}});
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                // (an entry that was not added by the router)
+                                memoryWindow.history.pushState(null, '', '/Bar//');
+                                return router.enterStates(['foo']);
+                        })
+                        .then(function()
+                        {
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(fromURLs, ['/foo', '/bar']);
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('fragments', function()
+        {
+                var memoryWindow;
+                var states;
+                var elements;
+                var calls;
+
+                function createElement(id, tabIndex)
+                {
+                        elements[id] = {
+                                tabIndex: tabIndex,
+                                attributes: {},
+                                setAttribute: function(name, value)
+                                {
+                                        this.attributes[name] = value;
+                                },
+                                scrollIntoView: function()
+                                {
+                                        calls.push('scroll ' + id);
+                                },
+                                focus: function(options)
+                                {
+                                        assert.deepEqual(options, {preventScroll: true});
+                                        calls.push('focus ' + id);
+                                }
+                        };
+                }
+
+                function createRouter(url, options)
+                {
+                        memoryWindow = createMemoryRouter(url, options);
+                        memoryWindow.document.getElementById = function(id)
+                        {
+                                return elements[id] || null;
+                        };
+                }
+
+                beforeEach(function()
+                {
+                        states = 0;
+                        elements = {};
+                        calls = [];
+                        recordFromURLs();
+
+                        var state = front.state;
+                        front.state = function(stateList, upgrade)
+                        {
+                                ++states;
+                                return state.call(this, stateList, upgrade);
+                        };
+
+                        createElement('section', -1);
+                        createElement('top', 0);
+                        createRouter('/foo#section');
+                });
+
+                it('should keep the fragment of the initial URL', function(done)
+                {
+                        router.on('transitionStart', function(transition)
+                        {
+                                assert.strictEqual(transition.fragment, '#section');
+                        });
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(fromURLs, ['/foo']);
+                                assert.deepEqual(calls, ['scroll section', 'focus section']);
+                                assert.deepEqual(elements.section.attributes, {tabindex: '-1'});
+
+                                router.updateQuery({a: '1'});
+                                assert.strictEqual(memoryWindow.url, '/foo?a=1#section');
+                        })
+                        .done(done);
+                });
+
+                it('should add the fragment given to enterStates and queueEnterStates', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                calls = [];
+                                return router.enterStates(['bar'], {fragment: 'top'});
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/bar#top');
+                                assert.deepEqual(calls, ['scroll top', 'focus top']);
+                                assert.deepEqual(elements.top.attributes, {});
+
+                                calls = [];
+                                return router.queueEnterStates(['foo'], {push: false, fragment: '#missing'});
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/foo#missing');
+                                assert.deepEqual(calls, []);
+
+                                return router.enterStates(['bar'], {fragment: '#'});
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/bar');
+
+                                createElement('100%', -1);
+                                calls = [];
+                                return router.enterStates(['foo'], {fragment: '100%'});
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/foo#100%');
+                                assert.deepEqual(calls, ['scroll 100%', 'focus 100%']);
+                        })
+                        .done(done);
+                });
+
+                it('should not transition if only the fragment changes', function(done)
+                {
+                        var fragmentChanges = [];
+                        router.on('fragmentChange', function(fragment, previousFragment)
+                        {
+                                fragmentChanges.push([fragment, previousFragment]);
+                        });
+
+                        createElement('top', -1);
+                        elements.top.focus = null;
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['foo'], {fragment: 'top'});
+                        })
+                        .then(function()
+                        {
+                                calls = [];
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/foo#section');
+                                assert.strictEqual(states, 2);
+                                assert.deepEqual(fragmentChanges, [['#section', '#top']]);
+                                // (the browser restores the scroll position, unless the `scrollRestoration` option is set)
+                                assert.deepEqual(calls, []);
+
+                                createRouter('/foo', {scrollRestoration: true});
+                                return router.upgradeInitialState();
+                        })
+                        .then(function()
+                        {
+                                memoryWindow.location.hash = '#top';
+                                return new Promise(function(resolve)
+                                {
+                                        router.once('fragmentChange', resolve);
+                                });
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(calls, ['scroll top']);
+                                assert.deepEqual(elements.top.attributes, {});
+                                assert.strictEqual(states, 3);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('transitionStart and transitionQueued', function()
+        {
+                var memoryWindow;
+                var events;
+
+                beforeEach(function()
+                {
+                        events = [];
+                        memoryWindow = new Router.MemoryHistory('/foo');
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function() {};
+                        front.enterBar = function() {};
+                        front.enterBaz = function() {};
+
+                        router = new Router(memoryWindow, urlStateMap, front, {queue: 'fifo'});
+                        router.attachPopStateListener();
+
+                        router.on('transitionStart', function(transition)
+                        {
+                                events.push([
+                                        'start',
+                                        transition.from && transition.from.join(),
+                                        transition.to.join(),
+                                        transition.url,
+                                        transition.reason
+                                ]);
+                        });
+
+                        router.on('transitionQueued', function(transition, queueLength)
+                        {
+                                events.push(['queued', transition.to.join(), queueLength]);
+                        });
+                });
+
+                it('should fire for every transition source', function(done)
+                {
+                        router.upgradeInitialState().then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                return router.back();
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(events, [
+                                        ['start', null, 'foo', '/foo', 'upgradeInitialState'],
+                                        ['start', 'foo', 'bar', null, 'enterStates'],
+                                        ['start', 'bar', 'foo', '/foo', 'historyPopState']
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should fire transitionQueued and fire transitionStart when the transition leaves the queue', function(done)
+                {
+                        router.upgradeInitialState().done();
+                        router.queueEnterStates(['bar']).done();
+                        router.queueEnterStates(['baz']).then(function()
+                        {
+                                assert.deepEqual(events, [
+                                        ['start', null, 'foo', '/foo', 'upgradeInitialState'],
+                                        ['queued', 'bar', 1],
+                                        ['queued', 'baz', 2],
+                                        ['start', 'foo', 'bar', null, 'queueEnterStates'],
+                                        ['start', 'bar', 'baz', null, 'queueEnterStates']
+                                ]);
+                        })
+                        .done(done);
+                });
+
+                it('should not fire transitionQueued for a transition that is dropped right away', function(done)
+                {
+                        router.maxQueueLength = 0;
+                        router.upgradeInitialState().done();
+                        router.queueEnterStates(['bar']).catch(function(err)
+                        {
+                                assert(err instanceof Router.TransitionDroppedError);
+                                assert.deepEqual(events, [
+                                        ['start', null, 'foo', '/foo', 'upgradeInitialState']
+                                ]);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('guards', function()
+        {
+                var pushed;
+                var replaced;
+                var entered;
+                var popStateEventHandler;
+
+                beforeEach(function()
+                {
+                        pushed = [];
+                        replaced = [];
+                        entered = [];
+
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                pushed.push(url);
+                        };
+
+                        windowStub.history.replaceState = function(state, title, url)
+                        {
+                                replaced.push(url);
+                        };
+
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        ['foo', 'bar', 'baz', 'login'].forEach(function(name)
+                        {
+                                front['enter' + name[0].toUpperCase() + name.slice(1)] = function(state, upgrade)
+                                {
+                                        entered.push(state);
+                                };
+                        });
+                });
+
+                it('should throw if the guard is not a function', function()
+                {
+                        assert.throws(function()
+                        {
+                                router.addGuard(null);
+                        }, /Argument `guard` must be a function/);
+                });
+
+                it('should pass the transition to the guard and allow it', function(done)
+                {
+                        var calls = 0;
+
+                        router.addGuard(function(transition)
+                        {
+                                ++calls;
+                                assert(router.pending);
+                                assert.deepEqual(entered, [], 'guards run before the state transition');
+                                assert.deepEqual(transition.from, null);
+                                assert.deepEqual(transition.to, ['foo']);
+                                assert.strictEqual(transition.url, null);
+                                assert.strictEqual(transition.reason, 'enterStates');
+                                assert.strictEqual(transition.upgrade, false);
+                                assert.strictEqual(transition.push, true);
+                        });
+
+                        router.addGuard(function(transition)
+                        {
+                                ++calls;
+                                return Promise.delay(1).return(true);
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.strictEqual(calls, 2);
+                                assert.deepEqual(entered, ['foo']);
+                                assert.deepEqual(pushed, ['/foo']);
+                        }).done(done);
+                });
+
+                it('should cancel the transition if a guard returns false', function(done)
+                {
+                        var cancelled = null;
+
+                        router.addGuard(function()
+                        {
+                                return Promise.resolve(false);
+                        });
+
+                        router.addGuard(function()
+                        {
+                                assert(false, 'should not run after a guard has cancelled');
+                        });
+
+                        router.on('transitionCancelled', function(transition)
+                        {
+                                cancelled = transition;
+                        });
+
+                        router.on('transitionFailed', function()
+                        {
+                                assert(false);
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.TransitionCancelledError);
+                                assert(err instanceof Error);
+                                assert.strictEqual(err.name, 'TransitionCancelledError');
+                                assert.strictEqual(err.message, 'The state transition was cancelled by a guard');
+                                assert.deepEqual(cancelled.to, ['foo']);
+                                assert(!router.pending);
+                                assert.deepEqual(entered, []);
+                                assert.deepEqual(pushed, []);
+                                assert.strictEqual(router.currentStateList, null);
+                        }).done(done);
+                });
+
+                it('should redirect if a guard returns a state list', function(done)
+                {
+                        var guardCalls = [];
+
+                        router.addGuard(function(transition)
+                        {
+                                guardCalls.push(transition.to[0]);
+
+                                if (transition.to[0] === 'bar')
+                                {
+                                        return ['login'];
+                                }
+                        });
+
+                        router.enterStates(['bar']).then(function()
+                        {
+                                assert.deepEqual(guardCalls, ['bar', 'login']);
+                                assert.deepEqual(entered, ['login']);
+                                assert.deepEqual(pushed, ['/login']);
+                                assert.deepEqual(router.currentStateList, ['login']);
+                        }).done(done);
+                });
+
+                it('should reject if guards keep redirecting', function(done)
+                {
+                        router.addGuard(function(transition)
+                        {
+                                return transition.to[0] === 'foo' ? ['bar'] : ['foo'];
+                        });
+
+                        router.on('transitionFailed', function(stateList, err)
+                        {
+                                assert(/Too many redirects/.test(err.message));
+                        });
+
+                        router.enterStates(['foo']).catch(function(err)
+                        {
+                                assert.strictEqual(err.message, 'Too many redirects while transitioning to "foo"');
+                                assert.deepEqual(entered, []);
+                        }).done(done);
+                });
+
+                it('should reject if a guard throws', function(done)
+                {
+                        router.addGuard(function()
+                        {
+                                throw Error('quux');
+                        });
+
+                        router.enterStates(['foo']).catch(function(err)
+                        {
+                                assert.strictEqual(err.message, 'quux');
+                                assert.deepEqual(entered, []);
+                        }).done(done);
+                });
+
+                it('should only run per-state guards if that state is left or entered', function(done)
+                {
+                        var calls = [];
+
+                        router.addGuard(function()
+                        {
+                                calls.push('leave foo');
+                        }, {leave: 'foo'});
+
+                        router.addGuard(function()
+                        {
+                                calls.push('enter baz');
+                        }, {enter: 'baz'});
+
+                        front.enterFoo = function(state)
+                        {
+                                entered.push(state);
+                                this.child = new Controller();
+                                this.child.enterBar = function() {};
+                                this.child.enterBaz = function() {};
+                        };
+
+                        router.enterStates(['foo', 'bar']).then(function()
+                        {
+                                assert.deepEqual(calls, []);
+                                return router.enterStates(['foo', 'baz']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(calls, ['enter baz']);
+                                return router.enterStates(['foo', 'baz']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(calls, ['enter baz']);
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(calls, ['enter baz', 'leave foo']);
+                        })
+                        .done(done);
+                });
+
+                it('should compare object states using isStateEqual', function(done)
+                {
+                        var calls = 0;
+                        var RouteMap = Router.RouteMap;
+
+                        router.addGuard(function()
+                        {
+                                ++calls;
+                        }, {enter: 'foo'});
+
+                        urlStateMap.toURL = function()
+                        {
+                                return '/foo';
+                        };
+
+                        router.enterStates([RouteMap.state('foo', {id: 1})]).then(function()
+                        {
+                                assert.strictEqual(calls, 1);
+                                return router.enterStates([RouteMap.state('foo', {id: 1})]);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(calls, 1);
+                                return router.enterStates([RouteMap.state('foo', {id: 2})]);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(calls, 2);
+                        })
+                        .done(done);
+                });
+
+                it('should remove guards', function(done)
+                {
+                        var guard = function()
+                        {
+                                return false;
+                        };
+
+                        router.addGuard(guard);
+                        router.removeGuard(guard);
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.deepEqual(entered, ['foo']);
+                        }).done(done);
+                });
+
+                it('should restore the URL if a popstate transition is cancelled', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                router.addGuard(function(transition)
+                                {
+                                        assert.strictEqual(transition.reason, 'historyPopState');
+                                        assert.strictEqual(transition.url, '/bar');
+                                        return false;
+                                }, {leave: 'foo'});
+
+                                router.on('transitionCancelled', function(transition)
+                                {
+                                        assert.deepEqual(transition.to, ['bar']);
+                                });
+
+                                router.on('historyPopState', function(stateList, url, promise)
+                                {
+                                        promise.then(function(val)
+                                        {
+                                                assert.strictEqual(val, null);
+                                                assert.deepEqual(entered, ['foo']);
+                                                assert.deepEqual(router.currentStateList, ['foo']);
+                                                assert.deepEqual(replaced, ['/foo']);
+                                        }).done(done);
+                                });
+
+                                popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                        });
+                });
+
+                it('should replace the URL if a popstate transition is redirected', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        router.addGuard(function(transition)
+                        {
+                                return ['login'];
+                        }, {enter: 'bar'});
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                promise.then(function()
+                                {
+                                        assert.deepEqual(entered, ['login']);
+                                        assert.deepEqual(replaced, ['/login']);
+                                        assert.deepEqual(pushed, []);
+                                }).done(done);
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                });
+        });
+
+        describe('middleware', function()
+        {
+                var pushed;
+                var entered;
+                var popStateEventHandler;
+
+                beforeEach(function()
+                {
+                        pushed = [];
+                        entered = [];
+
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                pushed.push(url);
+                        };
+
+                        windowStub.history.replaceState = function() {};
+
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        ['foo', 'bar', 'login'].forEach(function(name)
+                        {
+                                front['enter' + name[0].toUpperCase() + name.slice(1)] = function(state, upgrade)
+                                {
+                                        entered.push(state);
+                                };
+                        });
+                });
+
+                it('should throw if the middleware is not a function', function()
+                {
+                        assert.throws(function()
+                        {
+                                router.use({});
+                        }, /Argument `middleware` must be a function/);
+                });
+
+                it('should run the middleware in order around the front controller', function(done)
+                {
+                        var calls = [];
+
+                        router.addGuard(function()
+                        {
+                                calls.push('guard');
+                        });
+
+                        router.use(function(transition, next)
+                        {
+                                assert.strictEqual(this, router);
+                                assert.strictEqual(transition.from, null);
+                                assert.deepEqual(transition.to, ['foo']);
+                                assert.strictEqual(transition.reason, 'enterStates');
+                                assert.strictEqual(transition.upgrade, false);
+                                calls.push('a before');
+
+                                return next().then(function()
+                                {
+                                        calls.push('a after');
+                                        assert.deepEqual(entered, ['foo']);
+                                });
+                        });
+
+                        router.use(function(transition, next)
+                        {
+                                calls.push('b before');
+                                return next().then(function()
+                                {
+                                        calls.push('b after');
+                                });
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.deepEqual(calls, ['guard', 'a before', 'b before', 'b after', 'a after']);
+                                assert.deepEqual(pushed, ['/foo']);
+                        }).done(done);
+                });
+
+                it('should run for popstate and upgrade transitions', function(done)
+                {
+                        var reasons = [];
+
+                        router.use(function(transition, next)
+                        {
+                                reasons.push(transition.reason + ' ' + transition.url + ' ' + transition.upgrade);
+                                return next();
+                        });
+
+                        windowStub.location.pathname = '/foo';
+                        router.attachPopStateListener();
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                return new Promise(function(resolve)
+                                {
+                                        router.once('historyPopState', function(stateList, url, promise)
+                                        {
+                                                resolve(promise);
+                                        });
+
+                                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                                });
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(reasons, [
+                                        'upgradeInitialState /foo true',
+                                        'historyPopState /bar false'
+                                ]);
+                        }).done(done);
+                });
+
+                it('should cancel the transition if the middleware does not call next()', function(done)
+                {
+                        router.use(function()
+                        {
+                                return Promise.delay(1);
+                        });
+
+                        router.on('transitionCancelled', function(transition)
+                        {
+                                assert.deepEqual(transition.to, ['foo']);
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.TransitionCancelledError);
+                                assert.strictEqual(err.message, 'The state transition was cancelled by a middleware');
+                                assert.deepEqual(entered, []);
+                                assert.deepEqual(pushed, []);
+                        }).done(done);
+                });
+
+                it('should reject if next() is called more than once', function(done)
+                {
+                        router.use(function(transition, next)
+                        {
+                                return next().then(next);
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'next() must not be called more than once');
+                                assert.deepEqual(entered, ['foo']);
+                        }).done(done);
+                });
+
+                it('should follow a Redirect and run again for the new state list', function(done)
+                {
+                        var seen = [];
+
+                        router.use(function(transition, next)
+                        {
+                                seen.push(transition.to[0]);
+
+                                if (transition.to[0] === 'bar')
+                                {
+                                        throw new Router.Redirect(['login']);
+                                }
+
+                                return next();
+                        });
+
+                        router.enterStates(['bar']).then(function()
+                        {
+                                assert.deepEqual(seen, ['bar', 'login']);
+                                assert.deepEqual(entered, ['login']);
+                                assert.deepEqual(pushed, ['/login']);
+                        }).done(done);
+                });
+
+                it('should see the rejection of the front controller', function(done)
+                {
+                        var error = Error('quux');
+                        front.enterFoo = function()
+                        {
+                                throw error;
+                        };
+
+                        router.use(function(transition, next)
+                        {
+                                return next().catch(function(err)
+                                {
+                                        assert.strictEqual(err, error);
+                                        throw Error('wrapped');
+                                });
+                        });
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'wrapped');
+                        }).done(done);
+                });
+        });
+
+        describe('aborting', function()
+        {
+                var pushed;
+                var replaced;
+                var entered;
+                var popStateEventHandler;
+
+                beforeEach(function()
+                {
+                        pushed = [];
+                        replaced = [];
+                        entered = [];
+
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                pushed.push(url);
+                        };
+
+                        windowStub.history.replaceState = function(state, title, url)
+                        {
+                                replaced.push(url);
+                        };
+
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function(state, upgrade)
+                        {
+                                entered.push(state);
+                        };
+
+                        front.enterBar = function(state, upgrade)
+                        {
+                                entered.push(state);
+                                return Promise.delay(5);
+                        };
+                });
+
+                it('should reject the pending transition with an AbortError and not add a history entry', function(done)
+                {
+                        var aborted = [];
+
+                        router.on('transitionAborted', function(transition)
+                        {
+                                aborted.push(transition.to);
+                                assert.strictEqual(transition.aborted, true);
+                        });
+
+                        front.enterBar = function(state, upgrade)
+                        {
+                                entered.push(state);
+                                router.abortPending();
+                                router.abortPending(); // no effect
+                                assert.deepEqual(aborted, [['bar']]);
+                                return Promise.delay(5);
+                        };
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.AbortError);
+                                assert.strictEqual(err.name, 'AbortError');
+                                assert.strictEqual(err.message, 'The state transition was aborted');
+
+                                // the front controller is still busy
+                                assert(router.pending);
+                                return Promise.delay(10);
+                        })
+                        .then(function()
+                        {
+                                assert(!router.pending);
+                                assert.deepEqual(entered, ['foo', 'bar']);
+                                assert.deepEqual(pushed, ['/foo']);
+                                // (the front controller did not stop early)
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                        })
+                        .done(done);
+                });
+
+                it('should pass the transition and its signal to the front controller', function(done)
+                {
+                        windowStub.AbortController = AbortControllerStub;
+                        var state = front.state;
+
+                        front.state = function(stateList, upgrade, transition)
+                        {
+                                assert.deepEqual(transition.to, stateList);
+                                assert.strictEqual(transition.signal.aborted, false);
+                                router.abortPending();
+                                assert.strictEqual(transition.signal.aborted, true);
+
+                                // stop early
+                                return Promise.reject(Error('stopped'));
+                        };
+
+                        router.currentStateList = ['foo'];
+                        router.enterStates(['bar']).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.AbortError);
+                                return Promise.delay(1);
+                        })
+                        .then(function()
+                        {
+                                assert(!router.pending);
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                                assert.deepEqual(pushed, []);
+
+                                front.state = state;
+                                return router.enterStates(['foo'], {push: false});
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(replaced, ['/foo']);
+                        })
+                        .done(done);
+                });
+
+                it('should abort if the given signal is aborted', function(done)
+                {
+                        var controller = new AbortControllerStub();
+                        var promise = router.enterStates(['bar'], {signal: controller.signal});
+                        controller.abort();
+
+                        promise.then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.AbortError);
+                                return Promise.delay(10);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(pushed, []);
+
+                                // already aborted
+                                return router.enterStates(['foo'], {signal: controller.signal});
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.AbortError);
+                                return router.queueEnterStates(['foo'], {signal: controller.signal});
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert(err instanceof Router.AbortError);
+                                // (aborted before the front controller was asked to transition)
+                                assert.deepEqual(entered, []);
+
+                                controller = new AbortControllerStub();
+                                return router.enterStates(['foo'], {signal: controller.signal});
+                        })
+                        .then(function()
+                        {
+                                // the signal is no longer observed
+                                router.on('transitionAborted', function() { assert(false); });
+                                controller.abort();
+                                assert.deepEqual(pushed, ['/foo']);
+                        })
+                        .done(done);
+                });
+
+                it('should abort the queued transition', function(done)
+                {
+                        var controller = new AbortControllerStub();
+                        var first = router.queueEnterStates(['bar']);
+                        var overwritten = router.queueEnterStates(['foo'], {signal: controller.signal});
+                        var queued = router.queueEnterStates(['bar', 'foo']);
+
+                        controller.abort(); // (no longer queued)
+
+                        router.abortPending();
+
+                        Promise.settle([first, overwritten, queued]).then(function(results)
+                        {
+                                assert(results[0].reason() instanceof Router.AbortError);
+                                assert(results[1].reason() instanceof Router.TransitionDroppedError);
+                                assert(results[2].reason() instanceof Router.AbortError);
+                                return Promise.delay(10);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(entered, []);
+                                assert.deepEqual(pushed, []);
+                        })
+                        .done(done);
+                });
+
+                it('should restore the URL if a popstate transition is aborted', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                router.addGuard(function(transition)
+                                {
+                                        router.abortPending();
+                                });
+
+                                router.on('historyPopState', function(stateList, url, promise)
+                                {
+                                        promise.then(function(val)
+                                        {
+                                                assert.strictEqual(val, null);
+                                                return Promise.delay(1);
+                                        })
+                                        .then(function()
+                                        {
+                                                assert.deepEqual(entered, ['foo']);
+                                                assert.deepEqual(router.currentStateList, ['foo']);
+                                                assert.deepEqual(replaced, ['/foo']);
+                                        }).done(done);
+                                });
+
+                                popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                        });
+                });
+                it('should abort queued popstate transitions', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                var pending = router.enterStates(['bar']);
+
+                                router.on('historyPopState', function(stateList, url, promise)
+                                {
+                                        router.abortPending();
+
+                                        Promise.settle([pending, promise]).then(function(results)
+                                        {
+                                                assert(results[0].reason() instanceof Router.AbortError);
+                                                assert.strictEqual(results[1].value(), null);
+                                                assert.deepEqual(router.currentStateList, ['foo']);
+                                                assert.deepEqual(replaced, ['/foo']);
+                                        }).done(done);
+                                });
+
+                                popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/baz'}}});
+                        });
+                });
+
+                it('should keep the URL of a popstate transition that the front controller completes anyway', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        front.enterBar = function(state, upgrade)
+                        {
+                                entered.push(state);
+                                router.abortPending();
+                        };
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                promise.then(function()
+                                {
+                                        return Promise.delay(1);
+                                })
+                                .then(function()
+                                {
+                                        assert.deepEqual(router.currentStateList, ['bar']);
+                                        assert.deepEqual(replaced, []);
+                                        assert.deepEqual(pushed, []);
+                                }).done(done);
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                });
+        });
+
+        describe('queue policies', function()
+        {
+                var pushed;
+                var entered;
+                var dropped;
+                var popStateEventHandler;
+
+                function createRouter(options)
+                {
+                        router = new Router(windowStub, urlStateMap, front, options);
+                        router.on('transitionDropped', function(transition, reason)
+                        {
+                                dropped.push(transition.to.join('/') + ' ' + reason);
+                        });
+                }
+
+                beforeEach(function()
+                {
+                        pushed = [];
+                        entered = [];
+                        dropped = [];
+
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                pushed.push(url);
+                        };
+
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        ['foo', 'bar', 'baz'].forEach(function(name)
+                        {
+                                front['enter' + name[0].toUpperCase() + name.slice(1)] = function(state, upgrade)
+                                {
+                                        entered.push(state);
+                                        return Promise.delay(5);
+                                };
+                        });
+                });
+
+                it('should throw for an unknown policy', function()
+                {
+                        assert.throws(function()
+                        {
+                                createRouter({queue: 'random'});
+                        }, /Option `queue` must be "latest", "fifo", "dropNew" or "abortCurrent"/);
+                });
+
+                it('should run all queued transitions in order if the policy is "fifo"', function(done)
+                {
+                        createRouter({queue: 'fifo'});
+
+                        Promise.join(
+                                router.queueEnterStates(['foo']),
+                                router.queueEnterStates(['bar']),
+                                router.queueEnterStates(['baz'])
+                        ).then(function()
+                        {
+                                assert.deepEqual(entered, ['foo', 'bar', 'baz']);
+                                assert.deepEqual(pushed, ['/foo', '/bar', '/baz']);
+                                assert.deepEqual(dropped, []);
+                                assert(!router.pending);
+                        })
+                        .done(done);
+                });
+
+                it('should drop new transitions if the "fifo" queue is full', function(done)
+                {
+                        createRouter({queue: 'fifo', maxQueueLength: 1});
+                        assert.strictEqual(router.maxQueueLength, 1);
+
+                        Promise.settle([
+                                router.queueEnterStates(['foo']),
+                                router.queueEnterStates(['bar']),
+                                router.queueEnterStates(['baz'])
+                        ]).then(function(results)
+                        {
+                                assert(results[1].isFulfilled());
+                                assert(results[2].reason() instanceof Router.TransitionDroppedError);
+                                assert.strictEqual(results[2].reason().reason, 'queueFull');
+                                assert.deepEqual(entered, ['foo', 'bar']);
+                                assert.deepEqual(dropped, ['baz queueFull']);
+                        })
+                        .done(done);
+                });
+
+                it('should drop new transitions while busy if the policy is "dropNew"', function(done)
+                {
+                        createRouter({queue: 'dropNew'});
+
+                        Promise.settle([
+                                router.queueEnterStates(['foo']),
+                                router.queueEnterStates(['bar'])
+                        ]).then(function(results)
+                        {
+                                assert(results[0].isFulfilled());
+                                assert.strictEqual(results[1].reason().reason, 'busy');
+                                assert.deepEqual(entered, ['foo']);
+                                assert.deepEqual(pushed, ['/foo']);
+                                assert.deepEqual(dropped, ['bar busy']);
+                        })
+                        .done(done);
+                });
+
+                it('should abort the pending transition if the policy is "abortCurrent"', function(done)
+                {
+                        createRouter({queue: 'abortCurrent'});
+
+                        var started = new Promise(function(resolve)
+                        {
+                                front.enterFoo = function(state, upgrade)
+                                {
+                                        entered.push(state);
+                                        resolve();
+                                        return Promise.delay(5);
+                                };
+                        });
+
+                        var first = router.queueEnterStates(['foo']);
+
+                        started.then(function()
+                        {
+                                // (the front controller is busy with foo)
+                                return Promise.settle([
+                                        first,
+                                        router.queueEnterStates(['bar']),
+                                        router.queueEnterStates(['baz'])
+                                ]);
+                        })
+                        .then(function(results)
+                        {
+                                assert(results[0].reason() instanceof Router.AbortError);
+                                assert.strictEqual(results[1].reason().reason, 'superseded');
+                                assert(results[2].isFulfilled());
+                                assert.deepEqual(entered, ['foo', 'baz']);
+                                assert.deepEqual(pushed, ['/baz']);
+                                assert.deepEqual(dropped, ['bar superseded']);
+                        })
+                        .done(done);
+                });
+
+                it('should not drop popstate transitions if the policy is "dropNew"', function(done)
+                {
+                        createRouter({queue: 'dropNew'});
+                        router.attachPopStateListener();
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                if (url !== '/baz')
+                                {
+                                        return;
+                                }
+
+                                promise.then(function()
+                                {
+                                        assert.deepEqual(entered, ['foo', 'baz']);
+                                        assert.deepEqual(router.currentStateList, ['baz']);
+                                        assert.deepEqual(dropped, ['bar superseded']);
+                                })
+                                .done(done);
+                        });
+
+                        router.queueEnterStates(['foo']);
+                        // (the user pressed back twice, only the entry the browser ends up at matters)
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/baz'}}});
+                });
+
+                it('should not drop popstate transitions if the "fifo" queue is full', function(done)
+                {
+                        createRouter({queue: 'fifo', maxQueueLength: 1});
+                        router.attachPopStateListener();
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                promise.then(function()
+                                {
+                                        assert.deepEqual(entered, ['foo', 'bar', 'baz']);
+                                        assert.deepEqual(dropped, []);
+                                })
+                                .done(done);
+                        });
+
+                        router.queueEnterStates(['foo']);
+                        router.queueEnterStates(['bar']);
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/baz'}}});
+                });
+        });
+
+        describe('redirects', function()
+        {
+                var pushed;
+                var replaced;
+                var entered;
+                var redirects;
+                var popStateEventHandler;
+
+                beforeEach(function()
+                {
+                        pushed = [];
+                        replaced = [];
+                        entered = [];
+                        redirects = [];
+
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                pushed.push(url);
+                        };
+
+                        windowStub.history.replaceState = function(state, title, url)
+                        {
+                                replaced.push(url);
+                        };
+
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                if (path === '/old')
+                                {
+                                        return new Router.Redirect(['bar']);
+                                }
+
+                                return path.slice(1).split('/');
+                        };
+
+                        ['foo', 'bar', 'login'].forEach(function(name)
+                        {
+                                front['enter' + name[0].toUpperCase() + name.slice(1)] = function(state, upgrade)
+                                {
+                                        entered.push(upgrade ? 'upgrade ' + state : state);
+                                };
+                        });
+
+                        front.enterAccount = function(state, upgrade)
+                        {
+                                throw new Router.Redirect(['login']);
+                        };
+
+                        router.on('redirect', function(from, to, transition)
+                        {
+                                redirects.push([from, to]);
+                                assert.strictEqual(transition.to, to);
+                        });
+                });
+
+                it('should validate the state list of a Redirect', function()
+                {
+                        assert.throws(function()
+                        {
+                                new Router.Redirect('foo'); // jshint ignore:line
+                        }, /Argument `stateList` must be an array/);
+
+                        assert.strictEqual(String(new Router.Redirect(['foo', 'bar'])), 'Redirect to "foo, bar"');
+                });
+
+                it('should follow a Redirect thrown by a controller and push only the target', function(done)
+                {
+                        router.enterStates(['foo']).then(function()
+                        {
+                                return router.enterStates(['account']);
+                        })
+                        .then(function()
+                        {
+                                assert.deepEqual(entered, ['foo', 'login']);
+                                assert.deepEqual(pushed, ['/foo', '/login']);
+                                assert.deepEqual(redirects, [[['account'], ['login']]]);
+                                assert.deepEqual(router.currentStateList, ['login']);
+                        })
+                        .done(done);
+                });
+
+                it('should follow a Redirect that the front controller resolves with', function(done)
+                {
+                        var state = front.state;
+
+                        front.state = function(stateList, upgrade, transition)
+                        {
+                                if (stateList[0] === 'foo')
+                                {
+                                        return Promise.resolve(new Router.Redirect(['bar']));
+                                }
+
+                                return state.call(this, stateList, upgrade);
+                        };
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.deepEqual(entered, ['bar']);
+                                assert.deepEqual(pushed, ['/bar']);
+                                assert.deepEqual(redirects, [[['foo'], ['bar']]]);
+                        })
+                        .done(done);
+                });
+
+                it('should replace the URL if fromURL returns a Redirect', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                assert.deepEqual(stateList, ['bar']);
+                                assert.strictEqual(url, '/old');
+
+                                promise.then(function()
+                                {
+                                        assert.deepEqual(entered, ['bar']);
+                                        assert.deepEqual(replaced, ['/bar']);
+                                        assert.deepEqual(pushed, []);
+                                        assert.deepEqual(redirects, [[null, ['bar']]]);
+                                })
+                                .done(done);
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/old'}}});
+                });
+
+                it('should not upgrade the target of a redirect', function(done)
+                {
+                        windowStub.location.pathname = '/account';
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(entered, ['login']);
+                                assert.deepEqual(replaced, ['/login']);
+                                assert.deepEqual(router.currentStateList, ['login']);
+                        })
+                        .done(done);
+                });
+
+                it('should accept a Redirect from a guard', function(done)
+                {
+                        router.addGuard(function(transition)
+                        {
+                                return new Router.Redirect(['login']);
+                        }, {enter: 'foo'});
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                assert.deepEqual(entered, ['login']);
+                                assert.deepEqual(redirects, [[['foo'], ['login']]]);
+                        })
+                        .done(done);
+                });
+
+                it('should reject if the redirect limit is reached', function(done)
+                {
+                        router = new Router(windowStub, urlStateMap, front, {maxRedirects: 2});
+                        assert.strictEqual(router.maxRedirects, 2);
+
+                        front.enterLogin = function()
+                        {
+                                throw new Router.Redirect(['account']);
+                        };
+
+                        router.enterStates(['account']).then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'Too many redirects while transitioning to "account"');
+                                assert.deepEqual(pushed, []);
+                        })
+                        .done(done);
+                });
+
+                it('should reject if a redirect from fromURL exceeds the redirect limit', function(done)
+                {
+                        router = new Router(windowStub, urlStateMap, front, {maxRedirects: 0});
+                        windowStub.location.pathname = '/old';
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'Too many redirects while transitioning to "bar"');
+                                assert.deepEqual(entered, []);
+                                assert.strictEqual(router.currentStateList, null);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('error and not found states', function()
+        {
+                var pushed;
+                var replaced;
+                var entered;
+                var failed;
+                var popStateEventHandler;
+
+                beforeEach(function()
+                {
+                        pushed = [];
+                        replaced = [];
+                        entered = [];
+                        failed = [];
+
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                pushed.push(url);
+                        };
+
+                        windowStub.history.replaceState = function(state, title, url)
+                        {
+                                replaced.push(url);
+                        };
+
+                        windowStub.addEventListener = function(name, func)
+                        {
+                                popStateEventHandler = func;
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                if (path === '/unknown')
+                                {
+                                        return null;
+                                }
+
+                                return path.slice(1).split('/');
+                        };
+
+                        ['foo', 'pageNotFound'].forEach(function(name)
+                        {
+                                front['enter' + name[0].toUpperCase() + name.slice(1)] = function(state, upgrade)
+                                {
+                                        entered.push(state);
+                                };
+                        });
+
+                        front.enterBar = function(state, upgrade)
+                        {
+                                return Promise.reject(Error('quux'));
+                        };
+
+                        front.enterError = function(state, upgrade)
+                        {
+                                assert(state instanceof Router.ErrorState);
+                                assert.strictEqual(upgrade, false);
+                                entered.push('error: ' + state.error.message);
+                        };
+
+                        router = new Router(windowStub, urlStateMap, front, {
+                                errorStateList: ['error'],
+                                notFoundStateList: ['pageNotFound']
+                        });
+
+                        router.on('transitionFailed', function(stateList, err)
+                        {
+                                failed.push((stateList && stateList.join('/')) + ': ' + err.message);
+                        });
+                });
+
+                it('should compare error states by name and error', function()
+                {
+                        var err = Error('quux');
+                        var state = new Router.ErrorState('error', err);
+
+                        assert(state.isStateEqual(new Router.ErrorState('error', err)));
+                        assert(!state.isStateEqual(new Router.ErrorState('error', Error('quux'))));
+                        assert(!state.isStateEqual(new Router.ErrorState('other', err)));
+                        assert(!state.isStateEqual('error'));
+                        assert.strictEqual(String(state), 'error');
+                });
+
+                it('should enter the error state list and keep the URL of the failed transition', function(done)
+                {
+                        router.enterStates(['foo']).then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'quux');
+                                assert.deepEqual(entered, ['foo', 'error: quux']);
+                                assert.deepEqual(pushed, ['/foo', '/bar']);
+                                assert.deepEqual(failed, ['bar: quux']);
+                                assert.strictEqual(router.currentStateList.length, 1);
+                                assert.strictEqual(router.currentStateList[0].error, err);
+                        })
+                        .done(done);
+                });
+
+                it('should keep the current URL if the failed state list has no URL', function(done)
+                {
+                        urlStateMap.toURL = function(states)
+                        {
+                                if (states[0] === 'missing')
+                                {
+                                        throw Error('No route matches the state list "missing"');
+                                }
+
+                                return '/' + states.join('/');
+                        };
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                return router.enterStates(['missing']);
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'State method enterMissing does not exist');
+                                assert.deepEqual(entered, ['foo', 'error: State method enterMissing does not exist']);
+                                assert.deepEqual(pushed, ['/foo']);
+                                assert.deepEqual(replaced, ['/foo']);
+                                assert.deepEqual(failed, ['missing: State method enterMissing does not exist']);
+                                assert.strictEqual(String(router.currentStateList), 'error');
+                        })
+                        .done(done);
+                });
+
+                it('should handle a failed popstate transition by entering the error state list', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                promise.then(function(val)
+                                {
+                                        assert.strictEqual(val, null);
+                                        assert.deepEqual(entered, ['error: quux']);
+                                        assert.deepEqual(pushed, []);
+                                        assert.deepEqual(replaced, []);
+                                        assert.strictEqual(String(router.currentStateList), 'error');
+                                })
+                                .done(done);
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                });
+
+                it('should fail with the original error if the error state list fails too', function(done)
+                {
+                        front.enterError = function()
+                        {
+                                throw Error('error state');
+                        };
+
+                        router.enterStates(['foo']).then(function()
+                        {
+                                return router.enterStates(['bar']);
+                        })
+                        .then(function()
+                        {
+                                assert(false);
+                        }, function(err)
+                        {
+                                assert.strictEqual(err.message, 'quux');
+                                assert.deepEqual(failed, ['error: error state', 'bar: quux']);
+                                assert.deepEqual(pushed, ['/foo']);
+                                assert.deepEqual(router.currentStateList, ['foo']);
+                        })
+                        .done(done);
+                });
+
+                it('should not enter the error state list if a guard cancels the transition', function(done)
+                {
+                        router.addGuard(function()
+                        {
+                                return false;
+                        });
+
+                        router.enterStates(['bar']).catch(Router.TransitionCancelledError, function()
+                        {
+                                assert.deepEqual(entered, []);
+                        })
+                        .done(done);
+                });
+
+                it('should enter the not found state list for unmapped URLs', function(done)
+                {
+                        router.attachPopStateListener();
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                assert.deepEqual(stateList, ['pageNotFound']);
+                                assert.strictEqual(url, '/unknown');
+
+                                promise.then(function()
+                                {
+                                        assert.deepEqual(entered, ['pageNotFound']);
+                                        assert.deepEqual(router.currentStateList, ['pageNotFound']);
+                                        assert.deepEqual(pushed, []);
+                                        assert.deepEqual(replaced, []);
+                                })
+                                .done(done);
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/unknown'}}});
+                });
+
+                it('should enter the not found state list for URLs that a RouteMap does not match', function(done)
+                {
+                        windowStub.location.pathname = '/nope';
+                        router = new Router(windowStub, new Router.RouteMap([{path: '/foo', states: ['foo']}]), front, {
+                                notFoundStateList: ['pageNotFound']
+                        });
+
+                        router.upgradeInitialState().then(function()
+                        {
+                                assert.deepEqual(entered, ['pageNotFound']);
+                        })
+                        .done(done);
+                });
+
+                it('should fail the transition if fromURL throws', function(done)
+                {
+                        urlStateMap.fromURL = function(path)
+                        {
+                                throw Error('broken ' + path);
+                        };
+
+                        router.attachPopStateListener();
+
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                assert.strictEqual(stateList, null);
+
+                                promise.then(function(val)
+                                {
+                                        assert.strictEqual(val, null);
+                                        assert.deepEqual(entered, ['error: broken /bar']);
+                                        assert.deepEqual(failed, ['null: broken /bar']);
+
+                                        router = new Router(windowStub, urlStateMap, front);
+                                        return router.upgradeInitialState();
+                                })
+                                .then(function()
+                                {
+                                        assert(false);
+                                }, function(err)
+                                {
+                                        assert.strictEqual(err.message, 'broken /foo/bar');
+                                        assert.strictEqual(router.currentStateList, null);
+                                })
+                                .done(done);
+                        });
+
+                        popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/bar'}}});
+                });
+
+                it('should fail the transition if fromURL returns null and there is no not found state list', function(done)
+                {
+                        var completed = [];
+                        var message = 'The URL "/unknown" does not match any state list (see the `notFoundStateList` option)';
+
+                        router = new Router(windowStub, urlStateMap, front);
+                        router.attachPopStateListener();
+                        router.on('transitionComplete', function(stateList, url)
+                        {
+                                completed.push(url);
+                        });
+                        router.on('transitionFailed', function(stateList, err)
+                        {
+                                failed.push(stateList + ': ' + err.message);
+                        });
+                        router.on('historyPopState', function(stateList, url, promise)
+                        {
+                                promise.then(function()
+                                {
+                                        assert(false);
+                                }, function(err)
+                                {
+                                        assert.strictEqual(err.message, message);
+                                        assert.deepEqual(failed, ['null: ' + message]);
+                                        assert.deepEqual(completed, ['/foo']);
+                                        assert.deepEqual(router.currentStateList, ['foo']);
+                                })
+                                .done(done);
+                        });
+
+                        front.leaveFoo = function()
+                        {
+                                assert(false);
+                        };
+
+                        router.enterStates(['foo']).done(function()
+                        {
+                                popStateEventHandler({state: {statefulControllerRouterUrl: {url: '/unknown'}}});
+                        });
+                });
+        });
+
+        describe('link listener', function()
+        {
+                var clickEventHandler;
+                var pushedUrl;
+
+                function createAnchor(href, attributes)
+                {
+                        var match = /^(\w+:)\/\/([^\/]+)([^?#]*)(\?[^#]*)?(#.*)?$/.exec(href);
+                        attributes = attributes || {};
+                        attributes.href = href;
+
+                        return {
+                                nodeName: 'A',
+                                protocol: match[1],
+                                host: match[2],
+                                pathname: match[3],
+                                search: match[4] || '',
+                                hash: match[5] || '',
+                                parentNode: null,
+                                hasAttribute: function(name)
+                                {
+                                        return name in attributes;
+                                },
+                                getAttribute: function(name)
+                                {
+                                        return name in attributes ? attributes[name] : null;
+                                }
+                        };
+                }
+
+                function click(target, properties)
+                {
+                        var event = {
+                                target: target,
+                                button: 0,
+                                defaultPrevented: false,
+                                preventDefault: function()
+                                {
+                                        this.defaultPrevented = true;
+                                }
+                        };
+
+                        Object.keys(properties || {}).forEach(function(key)
+                        {
+                                event[key] = properties[key];
+                        });
+
+                        clickEventHandler(event);
+                        return event.defaultPrevented;
+                }
+
+                beforeEach(function()
+                {
+                        clickEventHandler = null;
+                        pushedUrl = null;
+
+                        windowStub.location.protocol = 'https:';
+                        windowStub.location.host = 'example.com';
+                        windowStub.document = {
+                                addEventListener: function(name, func)
+                                {
+                                        assert.strictEqual(name, 'click');
+                                        clickEventHandler = func;
+                                },
+                                removeEventListener: function(name, func)
+                                {
+                                        assert.strictEqual(name, 'click');
+                                        assert.strictEqual(func, clickEventHandler);
+                                        clickEventHandler = null;
+                                }
+                        };
+
+                        windowStub.history.pushState = function(state, title, url)
+                        {
+                                pushedUrl = url;
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                if (path === '/qwerty?a=b')
+                                {
+                                        return ['baz'];
+                                }
+
+                                throw Error('Unknown URL');
+                        };
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                assert.deepEqual(states, ['baz']);
+                                return '/qwerty?a=b';
+                        };
+
+                        front.enterBaz = function(state, upgrade)
+                        {
+                                assert.strictEqual(upgrade, false);
+                        };
+
+                        router.attachLinkListener();
+                });
+
+                it('should queue a state transition for same-origin links', function(done)
+                {
+                        router.on('transitionComplete', function(stateList, url)
+                        {
+                                assert.deepEqual(stateList, ['baz']);
+                                assert.strictEqual(url, '/qwerty?a=b');
+                                assert.strictEqual(pushedUrl, '/qwerty?a=b');
+                                done();
+                        });
+
+                        assert(click(createAnchor('https://example.com/qwerty?a=b')));
+                        assert(router.pending);
+                });
+
+                it('should only handle links inside of the base path', function(done)
+                {
+                        router.detachLinkListener();
+                        router = new Router(windowStub, urlStateMap, front, {basePath: '/app'});
+                        router.attachLinkListener();
+
+                        assert(!click(createAnchor('https://example.com/qwerty?a=b')));
+                        assert(!click(createAnchor('https://example.com/application/qwerty?a=b')));
+                        assert(!router.pending);
+
+                        router.on('transitionComplete', function(stateList, url)
+                        {
+                                assert.strictEqual(url, '/qwerty?a=b');
+                                assert.strictEqual(pushedUrl, '/app/qwerty?a=b');
+                                done();
+                        });
+
+                        assert(click(createAnchor('https://example.com/app/qwerty?a=b')));
+                });
+
+                it('should keep the fragment of the link', function(done)
+                {
+                        router.on('transitionComplete', function(stateList, url)
+                        {
+                                assert.strictEqual(url, '/qwerty?a=b#section');
+                                assert.strictEqual(pushedUrl, '/qwerty?a=b#section');
+                                done();
+                        });
+
+                        assert(click(createAnchor('https://example.com/qwerty?a=b#section')));
+                });
+
+                it('should find the link that contains the clicked element', function()
+                {
+                        var anchor = createAnchor('https://example.com/qwerty?a=b');
+                        var span = {nodeName: 'SPAN', parentNode: anchor};
+
+                        assert(click({nodeName: '#text', parentNode: span}));
+                        assert(router.pending);
+                });
+
+                it('should ignore clicks that are not on a link', function()
+                {
+                        var anchorWithoutHref = createAnchor('https://example.com/qwerty?a=b');
+                        anchorWithoutHref.hasAttribute = function(name)
+                        {
+                                return false;
+                        };
+
+                        assert(!click({nodeName: 'DIV', parentNode: null}));
+                        assert(!click(anchorWithoutHref));
+                        assert(!router.pending);
+                });
+
+                it('should ignore modified clicks', function()
+                {
+                        var anchor = createAnchor('https://example.com/qwerty?a=b');
+
+                        assert(!click(anchor, {ctrlKey: true}));
+                        assert(!click(anchor, {metaKey: true}));
+                        assert(!click(anchor, {shiftKey: true}));
+                        assert(!click(anchor, {altKey: true}));
+                        assert(!click(anchor, {button: 1}));
+                        assert(!router.pending);
+
+                        // e.g. handled by a different listener
+                        click(anchor, {defaultPrevented: true});
+                        assert(!router.pending);
+                });
+
+                it('should ignore links that opt out', function()
+                {
+                        var href = 'https://example.com/qwerty?a=b';
+
+                        assert(!click(createAnchor(href, {target: '_blank'})));
+                        assert(!click(createAnchor(href, {download: ''})));
+                        assert(!click(createAnchor(href, {'data-router-ignore': ''})));
+                        assert(!click(createAnchor(href, {rel: 'noopener External'})));
+                        assert(!router.pending);
+
+                        assert(click(createAnchor(href, {target: '_self', rel: 'nofollow'})));
+                        assert(router.pending);
+                });
+
+                it('should ignore links to other origins', function()
+                {
+                        assert(!click(createAnchor('https://example.org/qwerty?a=b')));
+                        assert(!click(createAnchor('http://example.com/qwerty?a=b')));
+                        assert(!router.pending);
+                });
+
+                it('should ignore links that only change the fragment of the current page', function()
+                {
+                        windowStub.location.pathname = '/qwerty';
+                        windowStub.location.search = '?a=b';
+
+                        assert(!click(createAnchor('https://example.com/qwerty?a=b#section')));
+                        assert(!router.pending);
+                });
+
+                it('should ignore links with an URL that the urlStateMap does not know', function()
+                {
+                        assert(!click(createAnchor('https://example.com/unknown')));
+                        assert(!router.pending);
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return null;
+                        };
+
+                        assert(!click(createAnchor('https://example.com/unknown')));
+                        assert(!router.pending);
+                });
+
+                it('should fire `linkClickFailed` if the transition fails', function(done)
+                {
+                        front.enterBaz = function()
+                        {
+                                return Promise.reject(Error('quux'));
+                        };
+
+                        router.on('linkClickFailed', function(stateList, err)
+                        {
+                                assert.deepEqual(stateList, ['baz']);
+                                assert.strictEqual(err.message, 'quux');
+                                assert.strictEqual(pushedUrl, null);
+                                done();
+                        });
+
+                        assert(click(createAnchor('https://example.com/qwerty?a=b')));
+                });
+
+                it('should pass the target of a redirect to `linkClickFailed`', function(done)
+                {
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return new Router.Redirect(['baz']);
+                        };
+
+                        front.enterBaz = function()
+                        {
+                                return Promise.reject(Error('quux'));
+                        };
+
+                        router.on('linkClickFailed', function(stateList, err)
+                        {
+                                assert.deepEqual(stateList, ['baz']);
+                                assert.strictEqual(err.message, 'quux');
+                                done();
+                        });
+
+                        assert(click(createAnchor('https://example.com/old')));
+                });
+
+                it('should cause an unhandled rejection if `linkClickFailed` is not handled', function(done)
+                {
+                        front.enterBaz = function()
+                        {
+                                return Promise.reject(Error('quux'));
+                        };
+
+                        Promise.onPossiblyUnhandledRejection(function(err)
+                        {
+                                Promise.onPossiblyUnhandledRejection(null);
+                                assert.strictEqual(err.message, 'quux');
+                                done();
+                        });
+
+                        assert(click(createAnchor('https://example.com/qwerty?a=b')));
+                });
+
+                it('should ignore transitions that are replaced by a newer click', function(done)
+                {
+                        var failed = [];
+                        router.on('linkClickFailed', function(stateList, err)
+                        {
+                                failed.push(err);
+                        });
+
+                        Promise.onPossiblyUnhandledRejection(function(err)
+                        {
+                                failed.push(err);
+                        });
+
+                        // (the second click is superseded by the third one)
+                        assert(click(createAnchor('https://example.com/qwerty?a=b')));
+                        assert(click(createAnchor('https://example.com/qwerty?a=b')));
+                        assert(click(createAnchor('https://example.com/qwerty?a=b')));
+
+                        Promise.delay(10).then(function()
+                        {
+                                Promise.onPossiblyUnhandledRejection(null);
+                                assert.deepEqual(failed, []);
+                                assert(!router.pending);
+                        })
+                        .done(done);
+                });
+
+                it('should stop intercepting clicks after detachLinkListener', function()
+                {
+                        assert(typeof clickEventHandler === 'function');
+                        router.detachLinkListener();
+                        assert.strictEqual(clickEventHandler, null);
+                });
+        });
+
+        describe('lifecycle', function()
+        {
+                var memoryWindow;
+                var entered;
+
+                beforeEach(function()
+                {
+                        entered = [];
+                        memoryWindow = new Router.MemoryHistory('/foo');
+                        memoryWindow.document.addEventListener = memoryWindow.addEventListener.bind(memoryWindow);
+                        memoryWindow.document.removeEventListener = memoryWindow.removeEventListener.bind(memoryWindow);
+
+                        urlStateMap.toURL = function(states)
+                        {
+                                return '/' + states.join('/');
+                        };
+
+                        urlStateMap.fromURL = function(path)
+                        {
+                                return path.slice(1).split('/');
+                        };
+
+                        front.enterFoo = function(state)
+                        {
+                                entered.push(state);
+                        };
+
+                        front.enterBar = function(state)
+                        {
+                                entered.push(state);
+                        };
+
+                        router = new Router(memoryWindow, urlStateMap, front);
+                });
+
+                it('should remove the popstate listener in detachPopStateListener', function(done)
+                {
+                        router.attachPopStateListener();
+                        router.attachPopStateListener();
+                        assert.strictEqual(memoryWindow._listeners.popstate.length, 1);
+
+                        router.enterStates(['bar']).then(function()
+                        {
+                                router.detachPopStateListener();
+                                router.detachPopStateListener();
+                                assert.strictEqual(memoryWindow._listeners.popstate.length, 0);
+
+                                memoryWindow.history.back();
+                                return Promise.delay(5);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(memoryWindow.url, '/foo');
+                                assert.deepEqual(router.currentStateList, ['bar']);
+                        })
+                        .done(done);
+                });
+
+                it('should ignore the callback of a history backend that can not stop listening', function()
+                {
+                        var callback = null;
+                        var history = {
+                                getState: function() { return null; },
+                                getURL: function() { return '/foo'; },
+                                pushState: function() {},
+                                replaceState: function() {},
+                                listen: function(func)
+                                {
+                                        callback = func;
+                                }
+                        };
+
+                        router = new Router(memoryWindow, urlStateMap, front, {history: history});
+                        router.on('historyPopState', function()
+                        {
+                                assert(false);
+                        });
+
+                        router.attachPopStateListener();
+                        router.detachPopStateListener();
+                        callback({statefulControllerRouterUrl: {url: '/bar'}});
+                        assert.strictEqual(router.pending, false);
+                });
+
+                it('should remove the listeners and abort transitions in destroy', function(done)
+                {
+                        var resolveFoo;
+                        var fooEntered;
+                        var aborted = [];
+                        var entering = new Promise(function(resolve)
+                        {
+                                fooEntered = resolve;
+                        });
+
+                        front.enterFoo = function(state)
+                        {
+                                fooEntered();
+                                return new Promise(function(resolve)
+                                {
+                                        resolveFoo = resolve;
+                                });
+                        };
+
+                        router.attachPopStateListener();
+                        router.attachLinkListener();
+                        router.on('transitionAborted', function(transition)
+                        {
+                                aborted.push(transition.to[0]);
+                        });
+
+                        var foo = router.enterStates(['foo']);
+                        var bar = router.queueEnterStates(['bar']);
+
+                        entering.then(function()
+                        {
+                                router.destroy();
+                                router.destroy();
+
+                                assert.strictEqual(router.destroyed, true);
+                                assert.deepEqual(aborted, ['bar', 'foo']);
+                                assert.strictEqual(router.listeners('transitionAborted').length, 0);
+                                assert.strictEqual(memoryWindow._listeners.popstate.length, 0);
+                                assert.strictEqual(memoryWindow._listeners.click.length, 0);
+                                assert.strictEqual(router.window, null);
+                                assert.strictEqual(router.frontController, null);
+
+                                return Promise.settle([foo, bar]);
+                        })
+                        .then(function(results)
+                        {
+                                results.forEach(function(result)
+                                {
+                                        assert(result.reason() instanceof Router.AbortError);
+                                        assert.strictEqual(result.reason().message, 'The router has been destroyed');
+                                });
+
+                                resolveFoo();
+                                return Promise.delay(1);
+                        })
+                        .then(function()
+                        {
+                                assert.strictEqual(router.currentStateList, null);
+                                assert.strictEqual(router.pending, false);
+                                assert.strictEqual(memoryWindow.entries.length, 1);
+                        })
+                        .done(done);
+                });
+
+                it('should throw after destroy', function(done)
+                {
+                        router.destroy();
+
+                        [
+                                function() { router.attachPopStateListener(); },
+                                function() { router.attachLinkListener(); },
+                                function() { router.addGuard(function() {}); },
+                                function() { router.use(function() {}); },
+                                function() { router.upgradeInitialState(); },
+                                function() { router.replaceStateList(['foo']); }
+                        ].forEach(function(func)
+                        {
+                                assert.throws(func, /The router has been destroyed/);
+                        });
+
+                        router.detachPopStateListener();
+                        router.detachLinkListener();
+
+                        Promise.settle([
+                                router.enterStates(['foo']),
+                                router.queueEnterStates(['foo']),
+                                router.back()
+                        ]).then(function(results)
+                        {
+                                results.forEach(function(result)
+                                {
+                                        assert.strictEqual(result.reason().message, 'The router has been destroyed');
+                                });
+                                assert.deepEqual(entered, []);
+                        })
+                        .done(done);
+                });
+        });
+
+        describe('controller state method rejection', function()
+        {
+                beforeEach(function()
+                {
+                        urlStateMap.toURL = function(states)
+                        {
+                                if (states.length === 1)
+                                {
+                                        switch(states[0])
+                                        {
+                                                case 'foo': return '/foo';
+                                                case 'bar': return '/bar';
+                                        }
+                                }
+
+                                throw Error('Should not occur in this test case');
+                        };
+                });
+
+                describe('with the `restoreURLOnFailure` option', function()
+                {
+                        var memoryWindow;
+
+                        beforeEach(function()
+                        {
+                                memoryWindow = new Router.MemoryHistory('/foo');
+                                urlStateMap.fromURL = function(path)
+                                {
+                                        return path.slice(1).split('/');
+                                };
+
+                                front.enterBar = function() {};
+                        });
+
+                        it('should restore the history entry of currentStateList if a popstate transition fails', function(done)
+                        {
+                                var entered = 0;
+                                front.enterFoo = function()
+                                {
+                                        if (++entered > 1)
+                                        {
+                                                return Promise.reject(Error('quux'));
+                                        }
+                                };
+
+                                router = new Router(memoryWindow, urlStateMap, front, {restoreURLOnFailure: true});
+                                router.attachPopStateListener();
+
+                                router.on('historyPopStateFailed', function(stateList, err)
+                                {
+                                        assert.deepEqual(stateList, ['foo']);
+                                        assert.deepEqual(router.currentStateList, ['bar']);
+                                        assert.strictEqual(memoryWindow.index, 0);
+                                        assert.strictEqual(memoryWindow.url, '/bar');
+                                        assert.deepEqual(memoryWindow.history.state, {
+                                                statefulControllerRouterUrl: {url: '/bar', index: 0, session: router.sessionId}
+                                        });
+                                        done();
+                                });
+
+                                router.upgradeInitialState().then(function()
+                                {
+                                        return router.enterStates(['bar']);
+                                })
+                                .then(function()
+                                {
+                                        memoryWindow.history.back();
+                                });
+                        });
+
+                        it('should leave the URL alone if the option is not set', function(done)
+                        {
+                                front.enterFoo = function()
+                                {
+                                        return Promise.reject(Error('quux'));
+                                };
+
+                                router = new Router(memoryWindow, urlStateMap, front);
+                                router.attachPopStateListener();
+
+                                router.on('historyPopStateFailed', function(stateList, err)
+                                {
+                                        assert.deepEqual(router.currentStateList, ['bar']);
+                                        assert.strictEqual(memoryWindow.url, '/foo');
+                                        done();
+                                });
+
+                                router.enterStates(['bar']).then(function()
+                                {
+                                        memoryWindow.history.back();
+                                });
+                        });
+
+                        it('should not do anything if there is no current state', function(done)
+                        {
+                                front.enterFoo = function()
+                                {
+                                        return Promise.reject(Error('quux'));
+                                };
+
+                                router = new Router(memoryWindow, urlStateMap, front, {restoreURLOnFailure: true});
+                                router.attachPopStateListener();
+
+                                router.on('historyPopStateFailed', function(stateList, err)
+                                {
+                                        assert.strictEqual(router.currentStateList, null);
+                                        assert.strictEqual(memoryWindow.url, '/foo#baz');
+                                        done();
+                                });
+
+                                memoryWindow.location.hash = '#baz';
+                        });
                 });
 
                 it('should not cause pushHistory to be called', function(done)
@@ -1087,7 +5285,9 @@ describe('Router', function()
 
                                         assert.deepEqual({
                                                 statefulControllerRouterUrl: {
-                                                        url: '/bar'
+                                                        url: '/bar',
+                                                        index: 1,
+                                                        session: router.sessionId
                                                 }
                                         }, state);
 
@@ -1171,7 +5371,9 @@ describe('Router', function()
 
                                         assert.deepEqual({
                                                 statefulControllerRouterUrl: {
-                                                        url: '/foo'
+                                                        url: '/foo',
+                                                        index: 1,
+                                                        session: router.sessionId
                                                 }
                                         }, state);
 